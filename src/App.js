@@ -7,7 +7,9 @@ import { WhatsAppClientFunctions } from "../whatsapp-bot-lion/code/WhatsAppBot/W
 import { CreatingNewWhatsAppClient } from "../whatsapp-bot-lion/code/WhatsAppBot/CreatingNewWhatsAppClient.js";
 
 import { Agents} from "../whatsapp-bot-lion/Inputs/WCNumber.js";
+import { startCampaignScheduler } from "../whatsapp-bot-lion/code/Campaign/CampaignScheduler.js";
 export const Lion0 = await CreatingNewWhatsAppClient(Agents.Agent0.Number);
+startCampaignScheduler();
 
 function App() {
 WhatsAppClientFunctions(Lion0, Agents.Agent0.Number, true);
@@ -0,0 +1,29 @@
+export let CampaignSettings = {
+  ReplyWindowDays: 7,
+  // Numbers allowed to control campaigns from WhatsApp, on top of Agents with the admin role.
+  AdminNumbers: [],
+  // Which numbers of each sheet row a campaign messages: "primary" (the first usable one of
+  // Phone, Mobile and Secondary Mobile), "secondary" or "all", which tries every number of the
+  // row until one gets the message. A campaign can choose its own.
+  PhoneNumbers: "primary",
+  // How often a paused campaign checks whether it was resumed or cancelled.
+  PauseCheckInterval: 15_000,
+  // Where the XLSX and CSV results of every campaign are written.
+  ReportDirectory: "./campaign-reports",
+  // Across all projects, bots and numbers of the owner, an owner gets at most MaxMessages
+  // campaign messages in PeriodDays.
+  FrequencyCap: { MaxMessages: 1, PeriodDays: 14 },
+  // How often the live progress of the running campaigns is printed, and the port of its
+  // JSON endpoint (GET /progress). A Port of 0 serves nothing.
+  Progress: { Interval: 60_000, Port: 3055 },
+  // Who a new-chats-only campaign leaves out when the bot already has a chat with the owner:
+  // anyone who replied negatively (NegativeReplies or an opt-out), and anyone whose last message
+  // is newer than RecentChatDays, unless that last message is our own outreach they never
+  // answered and it is older than UnansweredOutreachDays. MessagesToRead is how far back the
+  // chat is read for a negative reply.
+  ChatSkipPolicy: { RecentChatDays: 90, UnansweredOutreachDays: 30, MessagesToRead: 20 },
+  // A failed send of a Retriable class is tried again through another bot, Backoff later and
+  // twice as long for every further attempt. A number that is not on WhatsApp is never retried,
+  // and neither is an unknown error as the message may have gone out.
+  SendRetry: { MaxAttempts: 3, Backoff: 60_000, Retriable: ["session-disconnected", "rate-limited", "page-crashed"] }
+};
@@ -0,0 +1,48 @@
+// Greetings that replace the time-of-day greeting of a campaign. From and To are "MM-DD" and
+// both included, Hijri ones in the Umm al-Qura calendar; a range may run over the new year.
+// The first entry that matches the send date in WorkingCalendar.TimeZone wins, so the Eid
+// entries come before Ramadan. Eid and National Day are holidays in WorkingCalendar, their
+// greetings start a few days earlier so they can still go out.
+export let GreetingCalendar = {
+  // Days added before reading the Hijri date, for when the announced moon sighting differs
+  // from the Umm al-Qura calendar.
+  HijriAdjustment: 0,
+  Greetings: [
+    {
+      Name: "Eid al-Fitr",
+      Hijri: { From: "09-27", To: "10-03" },
+      Message: `Eid Mubarak ☪️`,
+      Translations: { ar: `عيد مبارك ☪️`, ur: `عید مبارک ☪️` }
+    },
+    {
+      Name: "Ramadan",
+      Hijri: { From: "09-01", To: "09-30" },
+      Message: `Ramadan Kareem ☪️`,
+      Translations: { ar: `رمضان كريم ☪️`, ur: `رمضان کریم ☪️` }
+    },
+    {
+      Name: "Eid al-Adha",
+      Hijri: { From: "12-06", To: "12-13" },
+      Message: `Eid al-Adha Mubarak ☪️`,
+      Translations: { ar: `عيد أضحى مبارك ☪️`, ur: `عید الاضحیٰ مبارک ☪️` }
+    },
+    {
+      Name: "Islamic New Year",
+      Hijri: { From: "12-28", To: "01-01" },
+      Message: `Happy Hijri New Year 🌙`,
+      Translations: { ar: `كل عام وأنتم بخير، سنة هجرية سعيدة 🌙`, ur: `نیا ہجری سال مبارک 🌙` }
+    },
+    {
+      Name: "UAE National Day",
+      Gregorian: { From: "11-28", To: "12-03" },
+      Message: `Happy UAE National Day 🇦🇪`,
+      Translations: { ar: `عيد اتحاد سعيد 🇦🇪`, ur: `متحدہ عرب امارات کا قومی دن مبارک 🇦🇪` }
+    },
+    {
+      Name: "New Year",
+      Gregorian: { From: "12-29", To: "01-02" },
+      Message: `Happy New Year 🎉`,
+      Translations: { ar: `سنة جديدة سعيدة 🎉`, ur: `نیا سال مبارک 🎉` }
+    }
+  ]
+};
@@ -3,8 +3,7 @@ export let InputOne = {
   MaximumTimeGap: 6969696969,
   ShiftStart: 9,
   ShiftEnd: 18,
-  Speed: 1,
-  Agents: 1
+  Speed: 1
 };
 
 
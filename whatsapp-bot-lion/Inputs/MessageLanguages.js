@@ -0,0 +1,21 @@
+// Which translation of a campaign an owner receives. Nationality (from the sheet or the Owner
+// row) wins over the country code of the number, and Default is used when neither matches.
+export let MessageLanguages = {
+  Default: "en",
+  ByNationality: {
+    emirati: "ar", uae: "ar", saudi: "ar", kuwaiti: "ar", qatari: "ar", bahraini: "ar", omani: "ar",
+    egyptian: "ar", jordanian: "ar", lebanese: "ar", syrian: "ar", iraqi: "ar", palestinian: "ar",
+    yemeni: "ar", sudanese: "ar", libyan: "ar", tunisian: "ar", algerian: "ar", moroccan: "ar",
+    pakistani: "ur",
+    indian: "en", british: "en", american: "en", canadian: "en", australian: "en"
+  },
+  // Longest prefix wins. 971 is left out on purpose: most UAE numbers belong to expats, their
+  // language comes from the nationality or stays on Default.
+  ByCountryCode: {
+    "966": "ar", "965": "ar", "974": "ar", "973": "ar", "968": "ar", "20": "ar", "962": "ar",
+    "961": "ar", "963": "ar", "964": "ar", "970": "ar", "967": "ar", "249": "ar", "218": "ar",
+    "216": "ar", "213": "ar", "212": "ar", "222": "ar", "252": "ar", "253": "ar", "269": "ar",
+    "92": "ur",
+    "91": "en"
+  }
+};
@@ -0,0 +1,11 @@
+// How campaign messages are varied so thousands of owners do not get the very same text.
+// Spintax like "{Hi|Hello|Salam} {{firstName}}" is always resolved; Emoji adds one of Emojis
+// (or none) to the end of the first line and Punctuation changes how the first line ends.
+// A template whose distinct versions would each reach more than MaxOwnersPerVersion owners
+// is reported before the campaign starts.
+export let MessageVariation = {
+  Emoji: false,
+  Emojis: ["🙂", "😊", "👋", "🏡", "✨"],
+  Punctuation: false,
+  MaxOwnersPerVersion: 50
+};
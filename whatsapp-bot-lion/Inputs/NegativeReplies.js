@@ -0,0 +1,36 @@
+// Replies after which a campaign leaves the owner alone, on top of every opt-out in
+// OptOutKeywords. They are compared the same way: a whole message equal to one of the Words,
+// or one of the Phrases anywhere in the message.
+export let NegativeReplies = {
+  Words: [
+    "no",
+    "no thanks",
+    "not interested",
+    "sold",
+    "already sold",
+    "wrong number",
+    "لا",
+    "لا شكرا",
+    "غير مهتم",
+    "مبيع"
+  ],
+  Phrases: [
+    "not interested",
+    "no longer interested",
+    "not for sale",
+    "not selling",
+    "already sold",
+    "already rented",
+    "wrong number",
+    "not the owner",
+    "dont disturb",
+    "do not disturb",
+    "غير مهتم",
+    "لا يهمني",
+    "ليس للبيع",
+    "تم البيع",
+    "الرقم غلط",
+    "رقم خطأ",
+    "لا تزعجني"
+  ]
+};
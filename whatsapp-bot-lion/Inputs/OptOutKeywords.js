@@ -0,0 +1,36 @@
+// Replies that take an owner off every campaign. A whole message equal to one of the Words
+// opts out, the Phrases opt out wherever they appear in the message. Both are compared after
+// lowercasing and removing punctuation and Arabic diacritics.
+export let OptOutKeywords = {
+  Words: [
+    "stop",
+    "unsubscribe",
+    "remove",
+    "توقف",
+    "وقف",
+    "ايقاف",
+    "الغاء"
+  ],
+  Phrases: [
+    "please stop",
+    "stop messaging",
+    "stop sending",
+    "dont message me",
+    "do not message me",
+    "dont text me",
+    "do not text me",
+    "dont contact me",
+    "do not contact me",
+    "remove my number",
+    "remove me from",
+    "unsubscribe me",
+    "لا ترسل",
+    "لا تراسلني",
+    "لا تتصل",
+    "الغاء الاشتراك",
+    "احذف رقمي",
+    "امسح رقمي"
+  ],
+  Confirmation: `You will not receive any more messages from us. Sorry for the disturbance.
+لن تصلك أي رسائل منا بعد الآن. نعتذر عن الإزعاج.`
+};
@@ -1,54 +1,30 @@
-import {
-  Lion0,
-} from "../index.js";
+import { LiveRuntime } from "../code/Campaign/CampaignRuntime.js";
+import { checkSenderQuota } from "../code/Campaign/SenderQuota.js";
 
-// const  = pack;
-export async function SelectingBotForCampaign(Iteration) {
-  let RegisteredAgentWAClient;
+// Picks the next connected bot from the sender pool that still has quota left for this
+// hour and day. A bot that disconnects mid-campaign is skipped by the pool; when no bot is
+// connected, or every connected bot is at quota, this returns undefined.
+export async function SelectingBotForCampaign(Iteration, Time, Runtime = LiveRuntime) {
+  let Sender;
 
   console.log("This is the iteration in the campaign _________xxxxxxx_______________", Iteration);
 
   try {
-    console.log("The switch is finding client bot.....................***************************");
-    switch (Iteration) {
-      case 0:
-        RegisteredAgentWAClient = Lion0;
-        break;
-      case 1:
-        // RegisteredAgentWAClient = Lion1;
-        break;
-      case 2:
-        // RegisteredAgentWAClient = Lion2;
-        break;
-      case 3:
-        // RegisteredAgentWAClient = Lion3;
-        break;
-
-      case 4:
-        // RegisteredAgentWAClient = Lion4;
-        break;
-      case 5:
-        // RegisteredAgentWAClient = Lion5;
-        break;
-      case 6:
-        // RegisteredAgentWAClient = Lion6;
-        break;
-      case 7:
-        // RegisteredAgentWAClient = Lion7;
-        break;
-      case 8:
-        // RegisteredAgentWAClient = Lion8;
-        break;
-      // case 9:
-      //   RegisteredAgentWAClient = Samy;
-      //   break;
-
-      default:
-        RegisteredAgentWAClient = Lion0;
+    // One full weighted round visits every connected bot at least once.
+    const attempts = Runtime.Pool.connectedSenders().reduce((total, sender) => total + sender.weight, 0);
+    for (let attempt = 0; attempt < attempts && !Sender; attempt++) {
+      const Candidate = Runtime.Pool.next();
+      const quota = await checkSenderQuota(Candidate.number, Time, Runtime.Clock.now(), Runtime.Store);
+      quota.allowed
+        ? Sender = Candidate
+        : console.log(`The bot ${Candidate.number} has reached its ${quota.reason} quota, ${quota.sentToday} of ${quota.dailyLimit} today`);
     }
+    Sender
+      ? console.log("The pool has selected the bot for this message", Sender.number)
+      : console.log("There is no connected bot with quota left in the sender pool");
   } catch (error) {
     console.log(error);
   }
-  return RegisteredAgentWAClient;
+  return Sender;
 
 }
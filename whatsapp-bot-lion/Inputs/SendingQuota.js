@@ -0,0 +1,9 @@
+export let SendingQuota = {
+  DailyLimit: 200,
+  HourlyLimit: 30,
+  // A new number is warmed up by setting warmupStartDate on its Agent to its first sending
+  // day, e.g. prisma.agent.update({ where: { whatsappNumber }, data: { warmupStartDate: new Date() } }).
+  // It then starts at WarmUpStartPerDay and reaches its daily limit after WarmUpDays days.
+  WarmUpStartPerDay: 20,
+  WarmUpDays: 14
+};
@@ -0,0 +1,7 @@
+// Headers (case-insensitive) that hold each template field in the project sheets, with the
+// column index used when a sheet has none of those headers.
+export let SheetColumns = {
+  Name: { Headers: ["name", "owner name", "owner", "name of owner"], Index: undefined },
+  UnitNumber: { Headers: ["unit number", "unit", "unit no", "house number", "villa number"], Index: undefined },
+  Cluster: { Headers: ["cluster", "cluster name", "sub community"], Index: 2 }
+};
@@ -0,0 +1,27 @@
+// Every sending loop checks this calendar in TimeZone, whatever timezone the server runs in.
+// The shift itself (ShiftStart/ShiftEnd) stays in InputOne.
+export let WorkingCalendar = {
+  TimeZone: "Asia/Dubai",
+  // Whole weekdays without messages, e.g. ["Saturday", "Sunday"].
+  NonSendingWeekdays: [],
+  // Windows that repeat every week, in TimeZone.
+  WeeklyQuietWindows: [
+    { Name: "Friday prayer", Weekday: "Friday", From: "11:30", To: "14:30" }
+  ],
+  // Whole days, From and To included. The Hijri dates follow the expected moon sighting and
+  // should be corrected once they are announced.
+  Holidays: [
+    { Name: "Eid al-Fitr", From: "2026-03-19", To: "2026-03-22" },
+    { Name: "Arafat Day and Eid al-Adha", From: "2026-05-26", To: "2026-05-29" },
+    { Name: "Islamic New Year", From: "2026-06-16", To: "2026-06-16" },
+    { Name: "Prophet's Birthday", From: "2026-08-25", To: "2026-08-25" },
+    { Name: "Commemoration Day and National Day", From: "2026-12-01", To: "2026-12-03" },
+    { Name: "New Year", From: "2027-01-01", To: "2027-01-01" },
+    { Name: "Eid al-Fitr", From: "2027-03-09", To: "2027-03-11" },
+    { Name: "Arafat Day and Eid al-Adha", From: "2027-05-15", To: "2027-05-18" }
+  ],
+  // One-off periods without messages, local date and time in TimeZone.
+  QuietPeriods: [
+    // { Name: "Year end", From: "2026-12-24T00:00", To: "2026-12-27T00:00" }
+  ]
+};
@@ -0,0 +1,181 @@
+import { prisma } from "../Database/prismaClient.js";
+
+// A campaign audience is written as clauses joined by "and", e.g.
+//   bedrooms>=3 and type=villa,townhouse and cluster!=Zinnia and nationality=indian
+//   and lastContacted>30d and repliedBefore=no
+// "a,b" matches any of the values (or none of them with !=). lastContacted takes days
+// ("30d") or "never": lastContacted>30d means more than 30 days ago or never contacted.
+const Fields = {
+    bedrooms: "number",
+    type: "text",
+    cluster: "text",
+    status: "text",
+    nationality: "text",
+    lastcontacted: "days",
+    repliedbefore: "yesno"
+};
+const FieldNames = {
+    lastcontacted: "lastContacted",
+    repliedbefore: "repliedBefore"
+};
+const Clause = /^\s*([a-z]+)\s*(>=|<=|!=|=|>|<)\s*(.+?)\s*$/i;
+const DayInMilliseconds = 24 * 60 * 60 * 1000;
+
+const digitsOf = number => String(number).replace(/@c\.us$/, "").replace(/\D/g, "");
+const textOf = value => String(value).trim().toLowerCase();
+
+function parseValue(type, Operator, raw, text) {
+    if (type === "number") {
+        const values = raw.split(",").map(value => Number(value));
+        if (values.some(isNaN)) {
+            throw new Error(`"${text}" needs a number`);
+        }
+        return values;
+    }
+    if (type === "days") {
+        if (/^never$/i.test(raw) && ["=", "!="].includes(Operator)) {
+            return null;
+        }
+        const days = raw.match(/^(\d+)\s*d$/i);
+        if (!days || ["=", "!="].includes(Operator)) {
+            throw new Error(`"${text}" needs a number of days like lastContacted>30d, or lastContacted=never`);
+        }
+        return parseInt(days[1]);
+    }
+    if (type === "yesno") {
+        if (!/^(yes|no)$/i.test(raw) || !["=", "!="].includes(Operator)) {
+            throw new Error(`"${text}" needs =yes or =no`);
+        }
+        return /^yes$/i.test(raw) === (Operator === "=");
+    }
+    if (!["=", "!="].includes(Operator)) {
+        throw new Error(`"${text}" can only use = or !=`);
+    }
+    return raw.split(",").map(textOf);
+}
+
+// Throws with the clause that is wrong, so a typo never silently widens the audience.
+export function parseAudienceQuery(query) {
+    return String(query || "")
+        .split(/\s+and\s+|;/i)
+        .filter(text => text.trim())
+        .map(text => {
+            const parts = text.match(Clause);
+            const key = parts?.[1].toLowerCase();
+            if (!parts || !Fields[key]) {
+                throw new Error(`"${text.trim()}" is not a filter, use one of ${Object.keys(Fields).map(field => FieldNames[field] || field).join(", ")}`);
+            }
+            const [, , Operator, raw] = parts;
+            return { Field: FieldNames[key] || key, Type: Fields[key], Operator, Value: parseValue(Fields[key], Operator, raw, text.trim()) };
+        });
+}
+
+function compare(a, Operator, b) {
+    switch (Operator) {
+        case ">": return a > b;
+        case ">=": return a >= b;
+        case "<": return a < b;
+        case "<=": return a <= b;
+        default: return a === b;
+    }
+}
+
+// An owner with several units matches when any unit does, and != only when none does.
+function matchesClause(record, { Field, Type, Operator, Value }, now) {
+    if (Type === "yesno") {
+        return record.repliedBefore === Value;
+    }
+    if (Type === "days") {
+        const lastContacted = record.lastContacted;
+        if (Value === null) {
+            return (lastContacted === null) === (Operator === "=");
+        }
+        if (lastContacted === null) {
+            return Operator.startsWith(">");
+        }
+        return compare((now - lastContacted) / DayInMilliseconds, Operator, Value);
+    }
+    const values = record[Field];
+    if (Operator === "!=") {
+        return values.every(value => !Value.includes(value));
+    }
+    if (Type === "text" || Operator === "=") {
+        return values.some(value => Value.includes(value));
+    }
+    return values.some(value => Value.some(wanted => compare(value, Operator, wanted)));
+}
+
+export function matchesAudience(record, Clauses, now = new Date()) {
+    return Clauses.every(clause => matchesClause(record, clause, now));
+}
+
+// One record per number: the units of the owner in this project and their Owner row, with the
+// sheet row filling in what the database does not have (cluster only lives in the sheet), and
+// the campaign history of the number.
+export async function buildAudienceRecords(Project, Numbers, variablesByNumber = {}) {
+    const phones = Numbers.map(digitsOf);
+    const owners = await prisma.owner.findMany({
+        where: {
+            deletedAt: null,
+            OR: [
+                { primaryPhone: { in: phones.concat(phones.map(phone => `+${phone}`)) } },
+                { secondaryPhone: { in: phones.concat(phones.map(phone => `+${phone}`)) } }
+            ]
+        },
+        include: { properties: { where: { deletedAt: null, project: { projectId: Project.ProjectID } } } }
+    });
+    let OwnerByPhone = {};
+    for (const owner of owners) {
+        [owner.primaryPhone, owner.secondaryPhone].filter(Boolean).forEach(phone => (OwnerByPhone[digitsOf(phone)] ??= owner));
+    }
+    const history = await prisma.campaignMessage.findMany({
+        where: { receiverPhone: { in: Numbers.map(String) }, sentAt: { not: null } },
+        select: { receiverPhone: true, sentAt: true, repliedAt: true }
+    });
+    let HistoryByNumber = {};
+    for (const message of history) {
+        const entry = (HistoryByNumber[message.receiverPhone] ??= { lastContacted: null, repliedBefore: false });
+        if (!entry.lastContacted || message.sentAt > entry.lastContacted) {
+            entry.lastContacted = message.sentAt;
+        }
+        entry.repliedBefore ||= Boolean(message.repliedAt);
+    }
+
+    let Records = {};
+    for (const Number of Numbers) {
+        const owner = OwnerByPhone[digitsOf(Number)];
+        const units = owner?.properties || [];
+        const row = variablesByNumber[Number] || {};
+        const fromUnits = (field, sheetValue) => {
+            const values = units.map(unit => unit[field]).filter(value => value !== null && value !== undefined);
+            return values.length ? values : [sheetValue].filter(value => value !== undefined && value !== "");
+        };
+        Records[Number] = {
+            bedrooms: fromUnits("bedrooms", row.bedrooms).map(value => parseFloat(value)).filter(value => !isNaN(value)),
+            type: fromUnits("type", row.type).map(textOf),
+            status: fromUnits("status", row.status).map(textOf),
+            cluster: [row.cluster].filter(Boolean).map(textOf),
+            nationality: [owner?.nationality || row.nationality].filter(Boolean).map(textOf),
+            lastContacted: HistoryByNumber[String(Number)]?.lastContacted || null,
+            repliedBefore: HistoryByNumber[String(Number)]?.repliedBefore || false
+        };
+    }
+    return Records;
+}
+
+// Keeps the numbers that match targetQuery, an empty query keeps every number.
+export async function resolveAudience(Project, Numbers, variablesByNumber, targetQuery, now = new Date()) {
+    const Clauses = parseAudienceQuery(targetQuery);
+    if (Clauses.length === 0) {
+        return { Numbers, total: Numbers.length, matched: Numbers.length };
+    }
+    const Records = await buildAudienceRecords(Project, Numbers, variablesByNumber);
+    const Matched = Numbers.filter(Number => matchesAudience(Records[Number], Clauses, now));
+    console.log(`The audience "${targetQuery}" of \u001b[44m${Project.ProjectName}\u001b[0m has ${Matched.length} of ${Numbers.length} owners`);
+    return { Numbers: Matched, total: Numbers.length, matched: Matched.length };
+}
+
+export function formatAudiencePreview(Project, targetQuery, Audience) {
+    return `The audience of ${Project.ProjectName} ${targetQuery ? `for "${targetQuery}"` : "(every owner)"} has ${Audience.matched} of ${Audience.total} owners.
+"Launch ${Project.ProjectName}: ${targetQuery || ""}" starts the campaign for them.`;
+}
@@ -0,0 +1,97 @@
+import { prisma } from "../Database/prismaClient.js";
+import { CampaignSettings } from "../../Inputs/CampaignSettings.js";
+import { formatZoned } from "../Time/WorkingHours.js";
+
+// Projects whose campaign loop runs in this process. A paused campaign whose process has
+// restarted has no loop left, resuming it has to start one.
+const ActiveProjects = new Set();
+
+export const trackCampaignLoop = Project => ActiveProjects.add(Project.ProjectID);
+export const untrackCampaignLoop = Project => ActiveProjects.delete(Project.ProjectID);
+export const isCampaignLoopActive = Project => ActiveProjects.has(Project.ProjectID);
+
+export async function isCampaignAdmin(from) {
+    const number = String(from).replace(/@c\.us$/, "");
+    if (CampaignSettings.AdminNumbers.includes(number)) {
+        return true;
+    }
+    const agent = await prisma.agent.findFirst({ where: { whatsappNumber: number, role: "admin", deletedAt: null } });
+    return Boolean(agent);
+}
+
+export async function listActiveCampaigns() {
+    const campaigns = await prisma.projectCampaign.findMany({
+        where: { status: { in: ["running", "paused"] }, deletedAt: null },
+        include: { project: true },
+        orderBy: { startDate: "asc" }
+    });
+    for (const campaign of campaigns) {
+        campaign.remaining = await prisma.campaignMessage.count({ where: { campaignId: campaign.id, status: "pending" } });
+    }
+    return campaigns;
+}
+
+// The latest running or paused campaign, or with "scheduled" the next one still to start.
+async function findActiveCampaign(Project, status = "active") {
+    const ProjectRow = await prisma.project.findUnique({ where: { projectId: Project.ProjectID } });
+    if (!ProjectRow) {
+        return null;
+    }
+    return prisma.projectCampaign.findFirst({
+        where: { projectId: ProjectRow.id, status: status === "scheduled" ? "scheduled" : { in: ["running", "paused"] }, deletedAt: null },
+        orderBy: { startDate: status === "scheduled" ? "asc" : "desc" }
+    });
+}
+
+async function updateActiveCampaign(Project, data) {
+    const campaign = await findActiveCampaign(Project);
+    if (!campaign) {
+        throw new Error(`${Project.ProjectName} has no running or paused campaign`);
+    }
+    return prisma.projectCampaign.update({ where: { id: campaign.id }, data });
+}
+
+export const pauseCampaign = Project => updateActiveCampaign(Project, { status: "paused" });
+
+export const resumeCampaign = Project => updateActiveCampaign(Project, { status: "running" });
+
+// Without a running or paused campaign the next scheduled one is cancelled, which also ends
+// its recurrence as the next occurrence is only planned once a campaign has run.
+export async function cancelCampaign(Project) {
+    const campaign = await findActiveCampaign(Project) || await findActiveCampaign(Project, "scheduled");
+    if (!campaign) {
+        throw new Error(`${Project.ProjectName} has no running, paused or scheduled campaign`);
+    }
+    return prisma.projectCampaign.update({ where: { id: campaign.id }, data: { status: "cancelled", endDate: new Date() } });
+}
+
+export function setCampaignSpeed(Project, sendingSpeed) {
+    if (!(sendingSpeed > 0)) {
+        throw new Error(`The speed has to be a positive number, not ${sendingSpeed}`);
+    }
+    return updateActiveCampaign(Project, { sendingSpeed });
+}
+
+// Called by the campaign loop between recipients. It holds the loop while the campaign is
+// paused and returns the control state once it is running again or was cancelled.
+export async function campaignCheckpoint(campaign, Store, Clock, onSleep = () => {}) {
+    let control = await Store.readCampaignControl(campaign.id);
+    if (control?.status === "paused") {
+        onSleep({ reason: "paused" });
+        console.log(`The campaign \u001b[44m${campaign.campaignName}\u001b[0m is paused, waiting for it to be resumed or cancelled`);
+    }
+    while (control?.status === "paused") {
+        await Clock.sleep(CampaignSettings.PauseCheckInterval);
+        control = await Store.readCampaignControl(campaign.id);
+    }
+    return control;
+}
+
+export function formatActiveCampaigns(campaigns) {
+    if (campaigns.length === 0) {
+        return "No campaign is running or paused";
+    }
+    return campaigns.map(campaign => `${campaign.project.name}: ${campaign.campaignName} is ${campaign.status}
+Started ${formatZoned(campaign.startDate)}, speed x${campaign.sendingSpeed}
+Sent ${campaign.successCount}, failed ${campaign.failureCount}, remaining ${campaign.remaining} of ${campaign.totalRecipients}`).join("\n\n");
+}
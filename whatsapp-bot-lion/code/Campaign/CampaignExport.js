@@ -0,0 +1,87 @@
+import XLSX from "xlsx";
+import { mkdirSync, writeFileSync } from "fs";
+import path from "path";
+import { prisma } from "../Database/prismaClient.js";
+import { CampaignSettings } from "../../Inputs/CampaignSettings.js";
+import { campaignFunnel } from "./MessageReceipts.js";
+import { formatZoned } from "../Time/WorkingHours.js";
+
+const formatDate = date => (date ? formatZoned(date) : "");
+
+function recipientRow(message) {
+    return {
+        Number: message.receiverPhone,
+        Classification: message.classification || "",
+        Source: message.numberSource || "",
+        Bot: message.senderNumber || "",
+        "Sent At": formatDate(message.sentAt),
+        Status: message.status,
+        Reason: message.skipReason || message.failureClass || "",
+        Error: message.failureReason || "",
+        Attempts: message.sendAttempts || "",
+        Ack: message.whatsappStatus || "",
+        "Delivered At": formatDate(message.deliveredAt),
+        "Read At": formatDate(message.readAt),
+        Replied: message.repliedAt ? "yes" : "no",
+        "Replied At": formatDate(message.repliedAt),
+        Variant: message.variant === null || message.variant === undefined ? "" : message.variant + 1,
+        Language: message.language || ""
+    };
+}
+
+const FailureClasses = ["invalid-number", "not-registered", "session-disconnected", "rate-limited", "page-crashed", "unknown"];
+const SkipReasons = ["negative-reply", "recent-chat", "recent-outreach", "do-not-contact", "frequency-cap", "owner-reached"];
+
+async function summaryRows(campaign, messages) {
+    const Funnel = await campaignFunnel(campaign.id);
+    const count = predicate => messages.filter(predicate).length;
+    let rows = [
+        ["Campaign", campaign.campaignName],
+        ["Status", campaign.status],
+        ["Started", formatDate(campaign.startDate)],
+        ["Ended", formatDate(campaign.endDate)],
+        ["Phone numbers", campaign.phoneNumbers || "primary"],
+        ["Ordering", campaign.orderingSeed === null || campaign.orderingSeed === undefined ? "" : `${campaign.orderingStrategy} (seed ${campaign.orderingSeed})`],
+        ["Recipients", messages.length],
+        ["Sent", Funnel.sent],
+        ["Delivered", Funnel.delivered],
+        ["Read", Funnel.read],
+        ["Replied", Funnel.replied],
+        ["Failed", count(message => message.status === "failed")],
+        ...FailureClasses.map(failureClass => [`Failed (${failureClass.replace(/-/g, " ")})`, count(message => message.status === "failed" && (message.failureClass || "unknown") === failureClass)]),
+        ...SkipReasons.map(reason => [`Skipped (${reason.replace(/-/g, " ")})`, count(message => message.status === "skipped" && message.skipReason === reason)]),
+        ["Pending", count(message => message.status === "pending")],
+        [],
+        ["Bot", "Sent"]
+    ];
+    const perBot = {};
+    messages.filter(message => message.senderNumber && message.sentAt)
+        .forEach(message => (perBot[message.senderNumber] = (perBot[message.senderNumber] || 0) + 1));
+    return rows.concat(Object.entries(perBot));
+}
+
+// Writes <campaign>.xlsx (Recipients and Summary sheets) and <campaign>.csv (the recipients)
+// to CampaignSettings.ReportDirectory and returns both paths.
+export async function exportCampaignResults(campaign, directory = CampaignSettings.ReportDirectory) {
+    try {
+        const messages = await prisma.campaignMessage.findMany({
+            where: { campaignId: campaign.id },
+            orderBy: { position: "asc" }
+        });
+        const Recipients = XLSX.utils.json_to_sheet(messages.map(recipientRow));
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, Recipients, "Recipients");
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(await summaryRows(campaign, messages)), "Summary");
+
+        mkdirSync(directory, { recursive: true });
+        const fileName = `${campaign.campaignName}_${campaign.id}`.replace(/[^\w-]+/g, "_");
+        const xlsxPath = path.resolve(directory, `${fileName}.xlsx`);
+        const csvPath = path.resolve(directory, `${fileName}.csv`);
+        XLSX.writeFile(workbook, xlsxPath);
+        writeFileSync(csvPath, XLSX.utils.sheet_to_csv(Recipients));
+        console.log(`The results of \u001b[44m${campaign.campaignName}\u001b[0m are saved in`, xlsxPath, csvPath);
+        return { xlsxPath, csvPath };
+    } catch (error) {
+        console.log(error);
+    }
+}
@@ -0,0 +1,162 @@
+import http from "http";
+import { CampaignSettings } from "../../Inputs/CampaignSettings.js";
+import { WorkingCalendar } from "../../Inputs/WorkingCalendar.js";
+import { RealClock } from "../Time/Clock.js";
+import { sendingWindow, formatZoned } from "../Time/WorkingHours.js";
+
+// The live campaigns of this process by campaign id, read by the terminal view and the
+// HTTP endpoint. A dry run is tracked but never listed here.
+const LiveCampaigns = new Map();
+const HourInMilliseconds = 60 * 60 * 1000;
+let ProgressView;
+
+// The random gap after each message is between MinimumTimeGap and twice that, divided by Speed.
+export const averageMessageGap = Time => (Time.MinimumTimeGap * 1.5) / Time.Speed;
+
+// Lays the remaining messages one gap apart over the sending windows, the same way the
+// campaign loop waits for the window before every message.
+export function estimateFinish(now, remaining, Time, Calendar = WorkingCalendar) {
+    const gap = averageMessageGap(Time);
+    let at = new Date(now);
+    for (let message = 0; message < remaining; message++) {
+        const window = sendingWindow(at, Time, Calendar);
+        at = new Date((window.open ? at : window.opensAt).getTime() + gap);
+    }
+    return at;
+}
+
+export function trackCampaignProgress(campaign, Project, { successes = 0, fails = 0, skipped = 0, capped = 0 } = {}, Time, { Clock = RealClock, dryRun = false } = {}) {
+    const Progress = {
+        campaignId: campaign.id,
+        campaignName: campaign.campaignName,
+        project: Project.ProjectName,
+        total: campaign.totalRecipients,
+        sent: successes,
+        failed: fails,
+        skipped,
+        capped,
+        startedAt: Clock.now(),
+        Time,
+        Bots: {},
+        Sleep: null,
+        status: "running"
+    };
+    const bot = number => (Progress.Bots[number] ??= { sent: 0, failed: 0, SentAt: [] });
+
+    const Tracker = {
+        sent(number) {
+            Progress.sent++;
+            bot(number).sent++;
+            bot(number).SentAt.push(Clock.now().getTime());
+            Progress.Sleep = null;
+        },
+        failed(number) {
+            Progress.failed++;
+            number && bot(number).failed++;
+        },
+        skipped(reason) {
+            reason === "frequency-cap" ? Progress.capped++ : Progress.skipped++;
+        },
+        // Sleep is { reason, name, until }: "day" is the gap between two messages, the other
+        // reasons are those of sendingWindow plus "quota" and "paused".
+        sleeping(Sleep, Time = Progress.Time) {
+            Progress.Sleep = { ...Sleep, since: Clock.now() };
+            Progress.Time = Time;
+        },
+        finish(status = "completed") {
+            Progress.status = status;
+            LiveCampaigns.delete(campaign.id);
+        },
+        snapshot: () => progressSnapshot(Progress, Clock.now())
+    };
+    if (!dryRun) {
+        LiveCampaigns.set(campaign.id, Tracker);
+        startProgressView();
+    }
+    return Tracker;
+}
+
+function progressSnapshot(Progress, now) {
+    const remaining = Math.max(0, Progress.total - Progress.sent - Progress.failed - Progress.skipped - Progress.capped);
+    const Bots = Object.entries(Progress.Bots).map(([number, Bot]) => {
+        Bot.SentAt = Bot.SentAt.filter(sentAt => now - sentAt < HourInMilliseconds);
+        return { number, sent: Bot.sent, failed: Bot.failed, lastHour: Bot.SentAt.length };
+    });
+    const Sleep = Progress.Sleep && {
+        reason: Progress.Sleep.reason,
+        name: Progress.Sleep.name,
+        until: Progress.Sleep.until
+    };
+    return {
+        campaignId: Progress.campaignId,
+        campaignName: Progress.campaignName,
+        project: Progress.project,
+        status: Progress.status,
+        startedAt: Progress.startedAt,
+        total: Progress.total,
+        sent: Progress.sent,
+        failed: Progress.failed,
+        skipped: Progress.skipped,
+        capped: Progress.capped,
+        remaining,
+        speed: Progress.Time.Speed,
+        bots: Bots,
+        sleep: Sleep,
+        eta: estimateFinish(Sleep?.until && Sleep.until > now ? Sleep.until : now, remaining, Progress.Time)
+    };
+}
+
+export const campaignProgress = () => [...LiveCampaigns.values()].map(Tracker => Tracker.snapshot());
+
+function formatSleep(Sleep) {
+    if (!Sleep) {
+        return "sending";
+    }
+    const label = Sleep.reason === "day" ? "gap between messages" : Sleep.name || Sleep.reason;
+    return Sleep.until ? `${label} until ${formatZoned(Sleep.until)}` : label;
+}
+
+export function formatCampaignProgress(Campaigns) {
+    if (Campaigns.length === 0) {
+        return "No campaign is sending in this process";
+    }
+    return Campaigns.map(Campaign => [
+        `${Campaign.project}: ${Campaign.campaignName} at speed x${Campaign.speed}`,
+        `Sent ${Campaign.sent}, skipped ${Campaign.skipped}, capped ${Campaign.capped}, failed ${Campaign.failed}, remaining ${Campaign.remaining} of ${Campaign.total}`,
+        `Now: ${formatSleep(Campaign.sleep)}, ETA ${formatZoned(Campaign.eta)}`,
+        ...Campaign.bots.map(Bot => `  ${Bot.number}: ${Bot.sent} sent (${Bot.lastHour} in the last hour), ${Bot.failed} failed`)
+    ].join("\n")).join("\n\n");
+}
+
+// Prints the progress of every live campaign every Interval and serves it as JSON on
+// GET /progress. Started by the first live campaign, a second call does nothing.
+export function startProgressView({ Interval, Port } = CampaignSettings.Progress) {
+    if (ProgressView) {
+        return ProgressView;
+    }
+    const print = () => {
+        const Campaigns = campaignProgress();
+        if (Campaigns.length > 0) {
+            console.log(`\u001b[45m Campaign progress ${formatZoned(new Date())} \u001b[0m\n${formatCampaignProgress(Campaigns)}`);
+        }
+    };
+    const timer = setInterval(print, Interval);
+    timer.unref();
+    let server;
+    if (Port) {
+        server = http.createServer((request, response) => {
+            if (request.method !== "GET" || request.url.split("?")[0] !== "/progress") {
+                response.writeHead(404, { "Content-Type": "application/json" });
+                response.end(JSON.stringify({ error: "Only GET /progress is served" }));
+                return;
+            }
+            response.writeHead(200, { "Content-Type": "application/json" });
+            response.end(JSON.stringify({ now: new Date(), campaigns: campaignProgress() }, null, 2));
+        });
+        server.on("error", error => console.log("The campaign progress endpoint could not start", error.message));
+        server.listen(Port, () => console.log(`The campaign progress is served on \u001b[44mhttp://localhost:${Port}/progress\u001b[0m`));
+        server.unref();
+    }
+    ProgressView = { timer, server, print };
+    return ProgressView;
+}
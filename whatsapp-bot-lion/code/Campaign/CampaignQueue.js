@@ -0,0 +1,194 @@
+import { prisma } from "../Database/prismaClient.js";
+
+// Every recipient of a campaign is written as a CampaignMessage row before the first
+// message goes out, so a crashed or restarted bot can pick up from the pending rows
+// instead of messaging the same owners again.
+
+// A scheduled campaign already has its row, only its queue is filled when it starts.
+// Recipients are { Number, Message, Variant, Language, Classification, Source } with the message
+// already rendered for that owner.
+export async function createCampaignQueue(Project, Recipients, template, ScheduledCampaign, { variants = [template], mediaPath, translations, targetQuery, orderingStrategy, orderingSeed, phoneNumbers } = {}) {
+    const targetType = targetQuery ? "query" : "all_owners";
+    let campaign;
+    if (ScheduledCampaign) {
+        campaign = await prisma.projectCampaign.update({
+            where: { id: ScheduledCampaign.id },
+            data: { status: "running", totalRecipients: Recipients.length, messageTemplate: template, messageVariants: variants, mediaPath, messageTranslations: translations, targetType, targetQuery, orderingStrategy, orderingSeed, phoneNumbers }
+        });
+    } else {
+        const ProjectRow = await prisma.project.findUnique({ where: { projectId: Project.ProjectID } });
+        if (!ProjectRow) {
+            throw new Error(`Project ${Project.ProjectName} (${Project.ProjectID}) is not registered in the database`);
+        }
+        campaign = await prisma.projectCampaign.create({
+            data: {
+                projectId: ProjectRow.id,
+                campaignName: `${Project.ProjectName} ${new Date().toLocaleDateString()}`,
+                status: "running",
+                startDate: new Date(),
+                totalRecipients: Recipients.length,
+                targetType,
+                targetQuery,
+                messageTemplate: template,
+                messageVariants: variants,
+                mediaPath,
+                messageTranslations: translations,
+                orderingStrategy,
+                orderingSeed,
+                phoneNumbers
+            }
+        });
+    }
+    await prisma.campaignMessage.createMany({
+        data: Recipients.map((Recipient, position) => ({
+            campaignId: campaign.id,
+            receiverPhone: Recipient.Number,
+            messageContent: Recipient.Message,
+            variant: Recipient.Variant,
+            language: Recipient.Language,
+            classification: Recipient.Classification,
+            numberSource: Recipient.Source,
+            position
+        }))
+    });
+    console.log(`The campaign queue for \u001b[44m${Project.ProjectName}\u001b[0m has ${Recipients.length} recipients`, campaign.id);
+    return campaign;
+}
+
+// A campaign that was paused when the bot stopped is picked up too, its loop then waits in
+// campaignCheckpoint until "Resume <project>" or "Cancel <project>".
+export async function findResumableCampaign(Project) {
+    const ProjectRow = await prisma.project.findUnique({ where: { projectId: Project.ProjectID } });
+    if (!ProjectRow) {
+        return null;
+    }
+    return prisma.projectCampaign.findFirst({
+        where: { projectId: ProjectRow.id, status: { in: ["running", "paused"] }, deletedAt: null },
+        orderBy: { startDate: "desc" }
+    });
+}
+
+export async function findLatestCampaign(Project) {
+    const ProjectRow = await prisma.project.findUnique({ where: { projectId: Project.ProjectID } });
+    if (!ProjectRow) {
+        return null;
+    }
+    return prisma.projectCampaign.findFirst({
+        where: { projectId: ProjectRow.id, status: { notIn: ["scheduled", "starting"] }, deletedAt: null },
+        orderBy: { startDate: "desc" }
+    });
+}
+
+export async function getPendingCampaignMessages(campaignId) {
+    return prisma.campaignMessage.findMany({
+        where: { campaignId, status: "pending" },
+        orderBy: { position: "asc" }
+    });
+}
+
+export async function markCampaignMessageSent(campaignMessage, SendReport, senderNumber, sendAttempts = 1) {
+    await prisma.$transaction([
+        prisma.campaignMessage.update({
+            where: { id: campaignMessage.id },
+            data: {
+                status: "sent",
+                sentAt: new Date(),
+                senderNumber,
+                whatsappMessageId: SendReport?.id?._serialized,
+                whatsappStatus: "sent",
+                sendAttempts,
+                // A greeting campaign may have greeted for a later day than the queue was built on.
+                messageContent: campaignMessage.messageContent
+            }
+        }),
+        prisma.projectCampaign.update({
+            where: { id: campaignMessage.campaignId },
+            data: { successCount: { increment: 1 } }
+        })
+    ]);
+}
+
+// failureClass is one of classifySendFailure: not-registered, session-disconnected,
+// rate-limited, page-crashed or unknown.
+export async function markCampaignMessageFailed(campaignMessage, error, failureClass = "unknown", sendAttempts = 1, senderNumber) {
+    await prisma.$transaction([
+        prisma.campaignMessage.update({
+            where: { id: campaignMessage.id },
+            data: {
+                status: "failed",
+                failedAt: new Date(),
+                failureReason: String(error?.message || error),
+                failureClass,
+                sendAttempts,
+                senderNumber
+            }
+        }),
+        prisma.projectCampaign.update({
+            where: { id: campaignMessage.campaignId },
+            data: { failureCount: { increment: 1 } }
+        })
+    ]);
+}
+
+export async function markCampaignMessageSkipped(campaignMessage, skipReason) {
+    await prisma.campaignMessage.update({
+        where: { id: campaignMessage.id },
+        data: { status: "skipped", skipReason }
+    });
+}
+
+export async function finishCampaign(campaign) {
+    return prisma.projectCampaign.update({
+        where: { id: campaign.id },
+        data: { status: "completed", endDate: new Date() }
+    });
+}
+
+// The loop reads this between recipients, so admins can pause, cancel or change the speed of
+// a running campaign from anywhere that can write the row.
+export async function readCampaignControl(campaignId) {
+    return prisma.projectCampaign.findUnique({
+        where: { id: campaignId },
+        select: { status: true, sendingSpeed: true }
+    });
+}
+
+export async function countCampaignMessages(campaignId, status, skipReason) {
+    return prisma.campaignMessage.count({ where: { campaignId, status, skipReason } });
+}
+
+// Messages of this campaign already sent to any of these numbers.
+export async function countSentMessages(campaignId, receiverPhones) {
+    return prisma.campaignMessage.count({ where: { campaignId, receiverPhone: { in: receiverPhones.map(String) }, status: "sent" } });
+}
+
+// Campaign messages any number of an owner received from other campaigns since the given date.
+export async function countRecentOwnerMessages(receiverPhones, since, campaignId) {
+    return prisma.campaignMessage.count({
+        where: { receiverPhone: { in: receiverPhones }, sentAt: { gte: since }, campaignId: { not: campaignId } }
+    });
+}
+
+// The primary and secondary phone, as digits, of every owner with this number.
+export async function findOwnerPhones(receiverPhone) {
+    const phone = String(receiverPhone).replace(/\D/g, "");
+    const owners = await prisma.owner.findMany({
+        where: {
+            deletedAt: null,
+            OR: [
+                { primaryPhone: { in: [phone, `+${phone}`] } },
+                { secondaryPhone: { in: [phone, `+${phone}`] } }
+            ]
+        },
+        select: { primaryPhone: true, secondaryPhone: true }
+    });
+    return owners.flatMap(owner => [owner.primaryPhone, owner.secondaryPhone]).filter(Boolean).map(phone => phone.replace(/\D/g, ""));
+}
+
+export async function findSenderAgent(senderNumber) {
+    return prisma.agent.findUnique({ where: { whatsappNumber: senderNumber } });
+}
+
+export async function countSenderMessagesSince(senderNumber, since) {
+    return prisma.campaignMessage.count({ where: { senderNumber, sentAt: { gte: since } } });
+}
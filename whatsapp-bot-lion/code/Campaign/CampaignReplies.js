@@ -0,0 +1,57 @@
+import { prisma } from "../Database/prismaClient.js";
+import { CampaignSettings } from "../../Inputs/CampaignSettings.js";
+import { formatZoned } from "../Time/WorkingHours.js";
+
+// An incoming message counts as a reply to the last campaign message the bot it reached sent
+// to that number within the reply window.
+export async function recordCampaignReply(msg) {
+    if (msg.fromMe || !msg.from.endsWith("@c.us")) {
+        return null;
+    }
+    const receiverPhone = msg.from.replace("@c.us", "");
+    const senderNumber = msg.to?.replace("@c.us", "");
+    const since = new Date(Date.now() - CampaignSettings.ReplyWindowDays * 86_400_000);
+    try {
+        const campaignMessage = await prisma.campaignMessage.findFirst({
+            where: { receiverPhone, senderNumber, sentAt: { gte: since } },
+            orderBy: { sentAt: "desc" }
+        });
+        // Only the first reply counts, later messages of the same conversation are not new replies.
+        if (!campaignMessage || campaignMessage.repliedAt) {
+            return null;
+        }
+        console.log(`The owner ${receiverPhone} has replied to the campaign`, campaignMessage.campaignId);
+        const [reply] = await prisma.$transaction([
+            prisma.campaignMessage.update({
+                where: { id: campaignMessage.id },
+                data: { repliedAt: new Date(), replyContent: msg.body }
+            }),
+            prisma.projectCampaign.update({
+                where: { id: campaignMessage.campaignId },
+                data: { responseCount: { increment: 1 } }
+            })
+        ]);
+        return reply;
+    } catch (error) {
+        console.log(error);
+    }
+    return null;
+}
+
+// The owners who answered a campaign, newest reply first, so agents can follow up on them.
+export async function listCampaignReplies(campaignId) {
+    return prisma.campaignMessage.findMany({
+        where: { campaignId, repliedAt: { not: null } },
+        orderBy: { repliedAt: "desc" }
+    });
+}
+
+export function formatCampaignReplies(campaign, Replies) {
+    if (Replies.length === 0) {
+        return `Nobody has replied to ${campaign.campaignName} yet`;
+    }
+    return [`${Replies.length} owners replied to ${campaign.campaignName}`]
+        .concat(Replies.map(reply => `${reply.receiverPhone} on ${formatZoned(reply.repliedAt)} to ${reply.senderNumber}
+"${(reply.replyContent || "").slice(0, 100)}"`))
+        .join("\n\n");
+}
@@ -0,0 +1,16 @@
+import * as CampaignQueue from "./CampaignQueue.js";
+import { isDoNotContact } from "../Contacts/DoNotContact.js";
+import singularSenderPool from "../WhatsAppBot/WhatsAppSenderPool.js";
+import { RealClock } from "../Time/Clock.js";
+
+// What a campaign runs against: where its queue is stored, which bots send and how time
+// passes. A dry run swaps all three for in-memory stand-ins.
+export const LiveRuntime = {
+    DryRun: false,
+    Store: { ...CampaignQueue, isDoNotContact },
+    // Read lazily, the sender pool and the campaign code import each other.
+    get Pool() {
+        return singularSenderPool;
+    },
+    Clock: RealClock
+};
@@ -0,0 +1,143 @@
+import { prisma } from "../Database/prismaClient.js";
+import { MyProjects } from "../MyProjects/MyProjects.js";
+import { ProjectCampaign } from "../MyProjects/ProjectCampaign.js";
+import { nextOccurrence } from "../Time/nextOccurrence.js";
+import { parseAudienceQuery } from "./AudienceQuery.js";
+import { OrderingStrategies } from "./RecipientOrder.js";
+import { PhoneSelections } from "../GoogleSheet/getNumberFromSheet.js";
+import { CampaignSettings } from "../../Inputs/CampaignSettings.js";
+
+// Campaigns that are running in this process, so a slow campaign is not picked up twice.
+const RunningCampaigns = new Set();
+// A claimed campaign is "starting" until its queue is written, one still starting after this
+// long belonged to a process that stopped on the way.
+const StartingTimeout = 30 * 60_000;
+
+export async function scheduleCampaign(Project, { startDate, recurrence, messageTemplate, messageVariants = [], messageTranslations, mediaPath, targetQuery, orderingStrategy = "shuffle", orderingSeed, phoneNumbers = CampaignSettings.PhoneNumbers, campaignName, previousCampaignId } = {}) {
+    const ProjectRow = await prisma.project.findUnique({ where: { projectId: Project.ProjectID } });
+    if (!ProjectRow) {
+        throw new Error(`Project ${Project.ProjectName} (${Project.ProjectID}) is not registered in the database`);
+    }
+    // Rejects a recurrence rule before it is saved rather than when the campaign finishes.
+    recurrence && nextOccurrence(recurrence, startDate);
+    // The same for an audience filter with a typo.
+    parseAudienceQuery(targetQuery);
+    if (!OrderingStrategies.includes(orderingStrategy)) {
+        throw new Error(`Unknown ordering strategy "${orderingStrategy}", use one of ${OrderingStrategies.join(", ")}`);
+    }
+    if (!PhoneSelections.includes(phoneNumbers)) {
+        throw new Error(`Unknown phone numbers "${phoneNumbers}", use one of ${PhoneSelections.join(", ")}`);
+    }
+    const campaign = await prisma.projectCampaign.create({
+        data: {
+            projectId: ProjectRow.id,
+            campaignName: campaignName || `${Project.ProjectName} ${startDate.toLocaleDateString()}`,
+            status: "scheduled",
+            startDate,
+            recurrence,
+            previousCampaignId,
+            targetType: targetQuery ? "query" : "all_owners",
+            targetQuery,
+            orderingStrategy,
+            orderingSeed,
+            phoneNumbers,
+            messageTemplate: messageTemplate || messageVariants[0],
+            messageVariants,
+            messageTranslations,
+            mediaPath
+        }
+    });
+    console.log(`The campaign \u001b[44m${campaign.campaignName}\u001b[0m is scheduled for ${startDate.toLocaleString()}`);
+    return campaign;
+}
+
+async function scheduleNextOccurrence(campaign, Project) {
+    const startDate = nextOccurrence(campaign.recurrence, campaign.startDate);
+    return scheduleCampaign(Project, {
+        startDate,
+        recurrence: campaign.recurrence,
+        messageTemplate: campaign.messageTemplate,
+        messageVariants: campaign.messageVariants,
+        messageTranslations: campaign.messageTranslations,
+        mediaPath: campaign.mediaPath,
+        targetQuery: campaign.targetQuery,
+        // Every occurrence draws its own seed, so the same owners are not always messaged first.
+        orderingStrategy: campaign.orderingStrategy,
+        phoneNumbers: campaign.phoneNumbers,
+        campaignName: `${Project.ProjectName} ${startDate.toLocaleDateString()}`,
+        previousCampaignId: campaign.id
+    });
+}
+
+async function runScheduledCampaign(campaign) {
+    const Project = MyProjects.find(x => x.ProjectID === campaign.project.projectId);
+    try {
+        if (!Project) {
+            throw new Error(`Project ${campaign.project.projectId} of campaign ${campaign.campaignName} is not in MyProjects`);
+        }
+        const result = await ProjectCampaign(Project, { campaign });
+        if (!result) {
+            throw new Error(`The campaign ${campaign.campaignName} has no result`);
+        }
+        if (result.interrupted) {
+            console.log(`The campaign ${campaign.campaignName} was interrupted and stays running until it is resumed`);
+        }
+        if (result.cancelled) {
+            console.log(`The campaign ${campaign.campaignName} was cancelled by an admin`);
+        }
+    } catch (error) {
+        console.log(error);
+        await prisma.projectCampaign.update({
+            where: { id: campaign.id },
+            data: { status: "failed", endDate: new Date() }
+        });
+    }
+    // The next occurrence is planned even when this one failed, a recurring campaign should not
+    // silently stop after one bad day.
+    // A rule saved before it was validated stops the recurrence here instead of re-running it.
+    if (campaign.recurrence && Project) {
+        try {
+            await scheduleNextOccurrence(campaign, Project);
+        } catch (error) {
+            console.log(`The campaign ${campaign.campaignName} does not recur any more`, error.message);
+        }
+    }
+}
+
+export async function runDueCampaigns(now = new Date()) {
+    await prisma.projectCampaign.updateMany({
+        where: { status: "starting", updatedAt: { lt: new Date(now.getTime() - StartingTimeout) }, id: { notIn: [...RunningCampaigns] }, deletedAt: null },
+        data: { status: "scheduled" }
+    });
+    const dueCampaigns = await prisma.projectCampaign.findMany({
+        where: { status: "scheduled", startDate: { lte: now }, deletedAt: null },
+        include: { project: true },
+        orderBy: { startDate: "asc" }
+    });
+    for (const campaign of dueCampaigns) {
+        if (RunningCampaigns.has(campaign.id)) {
+            continue;
+        }
+        // Claiming the row only succeeds while it is still scheduled, so two schedulers can
+        // never start the same campaign. createCampaignQueue sets it running with its queue.
+        const claimed = await prisma.projectCampaign.updateMany({
+            where: { id: campaign.id, status: "scheduled" },
+            data: { status: "starting" }
+        });
+        if (claimed.count === 0) {
+            continue;
+        }
+        console.log(`The scheduled campaign \u001b[44m${campaign.campaignName}\u001b[0m is starting now`);
+        RunningCampaigns.add(campaign.id);
+        runScheduledCampaign({ ...campaign, status: "starting" })
+            .catch(error => console.log(error))
+            .finally(() => RunningCampaigns.delete(campaign.id));
+    }
+}
+
+export function startCampaignScheduler(interval = 60_000) {
+    console.log(`The campaign scheduler checks for due campaigns every ${interval / 1000} seconds`);
+    const check = () => runDueCampaigns().catch(error => console.log(error));
+    check();
+    return setInterval(check, interval);
+}
@@ -0,0 +1,190 @@
+import * as CampaignQueue from "./CampaignQueue.js";
+import { isDoNotContact } from "../Contacts/DoNotContact.js";
+import { prisma } from "../Database/prismaClient.js";
+import singularSenderPool, { WhatsAppSenderPool } from "../WhatsAppBot/WhatsAppSenderPool.js";
+import { FakeWhatsAppClient } from "../WhatsAppBot/FakeWhatsAppClient.js";
+import { createVirtualClock } from "../Time/Clock.js";
+import { dateKey, formatZoned, startOfZonedDay } from "../Time/WorkingHours.js";
+import { Agents } from "../../Inputs/WCNumber.js";
+
+const DAY = 86_400_000;
+
+// A sender pool of fake clients that never starts real sessions or touches Agent rows. It is
+// built on call rather than as a subclass, the pool module imports this one through the
+// message handlers and is not initialised yet when this module loads.
+function createSimulatedSenderPool() {
+    const Pool = new WhatsAppSenderPool();
+    Pool.updateAgentSessionStatus = async () => {};
+    Pool.build = async () => Pool.connectedSenders();
+    return Pool;
+}
+
+// Sending history from the database still counts towards quotas in a dry run, but the
+// simulation has to work without a database too.
+async function readLive(read, fallback) {
+    try {
+        return await read();
+    } catch (error) {
+        console.log("The dry run could not read the database, using the simulated history only", error.message);
+        return fallback;
+    }
+}
+
+// The bots a real run would use right now: the connected sessions and Agents, or the numbers
+// in Inputs/WCNumber.js when none are connected.
+export async function dryRunSenderNumbers() {
+    const connected = singularSenderPool.connectedSenders().map(sender => sender.number);
+    const agents = await readLive(
+        () => prisma.agent.findMany({ where: { sessionStatus: "connected", status: "active", deletedAt: null } }),
+        []
+    );
+    const numbers = [...new Set(connected.concat(agents.map(agent => agent.whatsappNumber)))];
+    return numbers.length ? numbers : Object.values(Agents).map(Agent => Agent.Number);
+}
+
+export function createDryRunRuntime(senderNumbers, startDate = new Date()) {
+    const Clock = createVirtualClock(startDate);
+    const Pool = createSimulatedSenderPool();
+    senderNumbers.forEach(number => Pool.register(number, new FakeWhatsAppClient(number, Clock)));
+    let Timeline = [];
+    let campaign;
+    let messages = [];
+    // After one failed read the database is treated as unreachable for the rest of the run,
+    // and agents are looked up once per bot.
+    let offline = false;
+    let agentsByNumber = new Map();
+    const readHistory = async (read, fallback) => {
+        if (offline) {
+            return fallback;
+        }
+        try {
+            return await read();
+        } catch (error) {
+            console.log("The dry run could not read the database, using the simulated history only", error.message);
+            offline = true;
+            return fallback;
+        }
+    };
+
+    const Store = {
+        async createCampaignQueue(Project, Recipients, template, ScheduledCampaign, { variants = [template], mediaPath, translations, targetQuery, orderingStrategy, orderingSeed, phoneNumbers } = {}) {
+            campaign = {
+                id: `dryrun_${Project.ProjectID}`,
+                campaignName: `${Project.ProjectName} dry run`,
+                status: "running",
+                startDate: Clock.now(),
+                totalRecipients: Recipients.length,
+                successCount: 0,
+                failureCount: 0,
+                messageTemplate: template,
+                messageVariants: variants,
+                mediaPath,
+                messageTranslations: translations,
+                targetType: targetQuery ? "query" : "all_owners",
+                targetQuery,
+                orderingStrategy,
+                orderingSeed,
+                phoneNumbers
+            };
+            messages = Recipients.map((Recipient, position) => ({
+                id: `dryrun_${position}`,
+                campaignId: campaign.id,
+                receiverPhone: Recipient.Number,
+                messageContent: Recipient.Message,
+                variant: Recipient.Variant,
+                language: Recipient.Language,
+                classification: Recipient.Classification,
+                numberSource: Recipient.Source,
+                position,
+                status: "pending"
+            }));
+            return campaign;
+        },
+        async findResumableCampaign() {
+            return null;
+        },
+        async getPendingCampaignMessages() {
+            return messages.filter(message => message.status === "pending");
+        },
+        async markCampaignMessageSent(campaignMessage, SendReport, senderNumber, sendAttempts = 1) {
+            Object.assign(campaignMessage, { status: "sent", sentAt: Clock.now(), senderNumber, sendAttempts });
+            campaign.successCount++;
+            Timeline.push({
+                time: campaignMessage.sentAt,
+                receiverPhone: campaignMessage.receiverPhone,
+                senderNumber,
+                variant: campaignMessage.variant
+            });
+        },
+        async markCampaignMessageFailed(campaignMessage, error, failureClass = "unknown", sendAttempts = 1, senderNumber) {
+            Object.assign(campaignMessage, { status: "failed", failedAt: Clock.now(), failureReason: String(error?.message || error), failureClass, sendAttempts, senderNumber });
+            campaign.failureCount++;
+        },
+        async markCampaignMessageSkipped(campaignMessage, skipReason) {
+            Object.assign(campaignMessage, { status: "skipped", skipReason });
+        },
+        async isDoNotContact(number) {
+            return readHistory(() => isDoNotContact(number), false);
+        },
+        async readCampaignControl() {
+            return { status: campaign.status, sendingSpeed: 1 };
+        },
+        async countCampaignMessages(campaignId, status, skipReason) {
+            return messages.filter(message => message.status === status && (!skipReason || message.skipReason === skipReason)).length;
+        },
+        async countSentMessages(campaignId, receiverPhones) {
+            return messages.filter(message => message.status === "sent" && receiverPhones.map(String).includes(message.receiverPhone)).length;
+        },
+        async countRecentOwnerMessages(receiverPhones, since, campaignId) {
+            return readHistory(() => CampaignQueue.countRecentOwnerMessages(receiverPhones, since, campaignId), 0);
+        },
+        async findOwnerPhones(receiverPhone) {
+            return readHistory(() => CampaignQueue.findOwnerPhones(receiverPhone), []);
+        },
+        async finishCampaign() {
+            return Object.assign(campaign, { status: "completed", endDate: Clock.now() });
+        },
+        async findSenderAgent(senderNumber) {
+            if (!agentsByNumber.has(senderNumber)) {
+                agentsByNumber.set(senderNumber, await readHistory(() => CampaignQueue.findSenderAgent(senderNumber), null));
+            }
+            return agentsByNumber.get(senderNumber);
+        },
+        async countSenderMessagesSince(senderNumber, since) {
+            const live = await readHistory(() => CampaignQueue.countSenderMessagesSince(senderNumber, since), 0);
+            return live + Timeline.filter(entry => entry.senderNumber === senderNumber && entry.time >= since).length;
+        }
+    };
+
+    return { DryRun: true, Store, Pool, Clock, Timeline };
+}
+
+export function summarizeDryRun(Timeline, startDate) {
+    let perBot = {}, perDay = {};
+    for (const entry of Timeline) {
+        perBot[entry.senderNumber] = (perBot[entry.senderNumber] || 0) + 1;
+        const day = dateKey(entry.time);
+        perDay[day] = (perDay[day] || 0) + 1;
+    }
+    const endDate = Timeline.length ? Timeline[Timeline.length - 1].time : startDate;
+    const firstDay = startOfZonedDay(startDate);
+    return {
+        messages: Timeline.length,
+        startDate,
+        endDate,
+        days: Timeline.length ? Math.floor((endDate - firstDay) / DAY) + 1 : 0,
+        perBot,
+        perDay
+    };
+}
+
+export function formatDryRunSummary(Project, Summary) {
+    return `Dry run of ${Project.ProjectName}
+${Summary.messages} owners would be messaged from ${formatZoned(Summary.startDate)} to ${formatZoned(Summary.endDate)}, ${Summary.days} days in total.
+
+Per bot:
+${Object.entries(Summary.perBot).map(([number, count]) => `${number}: ${count}`).join("\n")}
+
+Per day:
+${Object.entries(Summary.perDay).map(([day, count]) => `${day}: ${count}`).join("\n")}`;
+}
@@ -0,0 +1,16 @@
+import * as CampaignQueue from "./CampaignQueue.js";
+import { CampaignSettings } from "../../Inputs/CampaignSettings.js";
+
+const DAY = 86_400_000;
+
+// Projects overlap, so one owner can be in several campaigns at once. Whatever project, bot or
+// number of theirs was messaged, an owner gets at most FrequencyCap.MaxMessages campaign messages
+// in FrequencyCap.PeriodDays days. The owner's numbers are the other numbers of their sheet row
+// and the primary and secondary phone of their Owner record.
+export async function isFrequencyCapped(receiverPhone, campaign, now = new Date(), Store = CampaignQueue, OwnerNumbers = []) {
+    const { MaxMessages, PeriodDays } = CampaignSettings.FrequencyCap;
+    const since = new Date(now.getTime() - PeriodDays * DAY);
+    const receiverPhones = [...new Set([receiverPhone, ...OwnerNumbers, ...await Store.findOwnerPhones(receiverPhone)].map(String))];
+    const recent = await Store.countRecentOwnerMessages(receiverPhones, since, campaign.id);
+    return recent >= MaxMessages;
+}
@@ -0,0 +1,66 @@
+import { prisma } from "../Database/prismaClient.js";
+
+// whatsapp-web.js MessageAck values, from ACK_ERROR (-1) to ACK_PLAYED (4).
+const AckStatus = { [-1]: "failed", 0: "pending", 1: "sent", 2: "delivered", 3: "read", 4: "played" };
+const AckRank = ["pending", "sent", "delivered", "read", "played"];
+
+// Acks can arrive out of order, a late "delivered" must not overwrite "read". An error only
+// counts while the message has not reached the phone.
+function isNewer(status, current) {
+    const currentRank = AckRank.indexOf(current ?? "pending");
+    return status === "failed" ? currentRank >= 0 && currentRank <= 1 : AckRank.indexOf(status) > currentRank;
+}
+
+function receiptUpdate(row, status, ack, now) {
+    let data = { whatsappStatus: status };
+    if (ack >= 2 && !row.deliveredAt) {
+        data.deliveredAt = now;
+    }
+    if (ack >= 3 && !row.readAt) {
+        data.readAt = now;
+    }
+    return data;
+}
+
+// Subscribed to "message_ack" of every client. The ack is matched to the CampaignMessage and
+// Message rows through the id sendMessage returned.
+export async function recordMessageAck(msg, ack) {
+    const whatsappMessageId = msg.id?._serialized;
+    const status = AckStatus[ack];
+    if (!msg.fromMe || !whatsappMessageId || !status) {
+        return;
+    }
+    const now = new Date();
+    try {
+        const campaignMessages = await prisma.campaignMessage.findMany({ where: { whatsappMessageId } });
+        for (const row of campaignMessages.filter(row => isNewer(status, row.whatsappStatus))) {
+            console.log(`The campaign message to ${row.receiverPhone} is \u001b[32m${status}\u001b[0m`);
+            await prisma.campaignMessage.update({ where: { id: row.id }, data: receiptUpdate(row, status, ack, now) });
+        }
+        const messages = await prisma.message.findMany({ where: { whatsappMessageId } });
+        for (const row of messages.filter(row => isNewer(status, row.whatsappStatus))) {
+            await prisma.message.update({ where: { id: row.id }, data: receiptUpdate(row, status, ack, now) });
+        }
+    } catch (error) {
+        console.log(error);
+    }
+}
+
+export async function campaignFunnel(campaignId) {
+    const sent = { campaignId, sentAt: { not: null } };
+    return {
+        sent: await prisma.campaignMessage.count({ where: sent }),
+        delivered: await prisma.campaignMessage.count({ where: { ...sent, deliveredAt: { not: null } } }),
+        read: await prisma.campaignMessage.count({ where: { ...sent, readAt: { not: null } } }),
+        replied: await prisma.campaignMessage.count({ where: { ...sent, repliedAt: { not: null } } })
+    };
+}
+
+export function formatCampaignFunnel(campaign, Funnel) {
+    const rate = count => (Funnel.sent ? (count / Funnel.sent * 100).toFixed(1) : "0.0");
+    return `Campaign report for ${campaign.campaignName}
+Sent: ${Funnel.sent}
+Delivered: ${Funnel.delivered} (${rate(Funnel.delivered)}%)
+Read: ${Funnel.read} (${rate(Funnel.read)}%)
+Replied: ${Funnel.replied} (${rate(Funnel.replied)}%)`;
+}
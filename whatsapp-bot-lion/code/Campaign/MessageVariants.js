@@ -0,0 +1,38 @@
+import { createHash } from "crypto";
+import { prisma } from "../Database/prismaClient.js";
+
+// The same owner always lands on the same variant of a project's campaign, so a resumed or
+// repeated run does not hand them a different opening message.
+export function pickVariant(Project, Number, count) {
+    if (count <= 1) {
+        return 0;
+    }
+    const hash = createHash("md5").update(`${Project.ProjectName}:${Number}`).digest();
+    return hash.readUInt32BE(0) % count;
+}
+
+export async function variantReport(campaignId) {
+    const campaign = await prisma.projectCampaign.findUnique({ where: { id: campaignId } });
+    const variants = campaign.messageVariants.length ? campaign.messageVariants : [campaign.messageTemplate];
+    let Report = [];
+    for (const [variant, template] of variants.entries()) {
+        const where = { campaignId, variant, sentAt: { not: null } };
+        const sent = await prisma.campaignMessage.count({ where });
+        const replied = await prisma.campaignMessage.count({ where: { ...where, repliedAt: { not: null } } });
+        Report.push({
+            variant,
+            template,
+            sent,
+            replied,
+            replyRate: sent ? replied / sent : 0
+        });
+    }
+    return Report;
+}
+
+export function formatVariantReport(campaign, Report) {
+    return [`Variant report for ${campaign.campaignName}`]
+        .concat(Report.map(row => `Variant ${row.variant + 1}: ${row.replied}/${row.sent} replied (${(row.replyRate * 100).toFixed(1)}%)
+"${row.template.slice(0, 60)}"`))
+        .join("\n\n");
+}
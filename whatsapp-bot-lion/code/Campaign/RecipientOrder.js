@@ -0,0 +1,66 @@
+// The order owners are messaged in. Every strategy is driven by the seed stored on the
+// campaign, so a re-run with the same seed and the same numbers gets the same order.
+export const OrderingStrategies = ["shuffle", "cluster-round-robin", "complete-first"];
+
+// The fields an owner's sheet row needs to be a complete record for "complete-first".
+const RecordFields = ["firstName", "lastName", "unitNumber", "cluster", "nationality"];
+
+// Seeds are kept below 2^31 to fit the Int of ProjectCampaign.orderingSeed.
+export const createSeed = () => Math.floor(Math.random() * 2 ** 31);
+
+// mulberry32: small, fast and good enough to order a few thousand owners.
+export function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Fisher-Yates on a copy, every order is equally likely.
+export function shuffleWithSeed(array, seed) {
+    const random = seededRandom(seed);
+    let shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+// One owner of every cluster in turn, so a day capped by the quota still covers the whole
+// project. Clusters and the owners inside them keep their shuffled order.
+function clusterRoundRobin(Numbers, variablesByNumber) {
+    let Clusters = new Map();
+    for (const Number of Numbers) {
+        const cluster = String(variablesByNumber[Number]?.cluster || "").trim().toLowerCase();
+        Clusters.has(cluster) || Clusters.set(cluster, []);
+        Clusters.get(cluster).push(Number);
+    }
+    const Groups = [...Clusters.values()];
+    let ordered = [];
+    for (let round = 0; ordered.length < Numbers.length; round++) {
+        Groups.forEach(Group => round < Group.length && ordered.push(Group[round]));
+    }
+    return ordered;
+}
+
+const completeness = variables => RecordFields.filter(field => variables?.[field]).length;
+
+export function orderRecipients(Numbers, strategy = "shuffle", seed, variablesByNumber = {}) {
+    if (!OrderingStrategies.includes(strategy)) {
+        throw new Error(`Unknown ordering strategy "${strategy}", use one of ${OrderingStrategies.join(", ")}`);
+    }
+    const shuffled = shuffleWithSeed([...new Set(Numbers)], seed);
+    if (strategy === "cluster-round-robin") {
+        return clusterRoundRobin(shuffled, variablesByNumber);
+    }
+    if (strategy === "complete-first") {
+        // Array sort is stable, owners with equally complete records keep their shuffled order.
+        return shuffled.sort((a, b) => completeness(variablesByNumber[b]) - completeness(variablesByNumber[a]));
+    }
+    return shuffled;
+}
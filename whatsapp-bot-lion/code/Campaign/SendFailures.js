@@ -0,0 +1,69 @@
+import { CampaignSettings } from "../../Inputs/CampaignSettings.js";
+import { SelectingBotForCampaign } from "../../Inputs/SelectingBotForCampaign.js";
+
+// What whatsapp-web.js and puppeteer throw for each kind of failure. The first match wins, so
+// the number errors come before the generic "Evaluation failed" of a broken page.
+const FailurePatterns = [
+    { Class: "not-registered", Pattern: /invalid wid|wid error|no lid for user|not registered|not on whatsapp|phone number.*(invalid|does not exist)/i },
+    { Class: "rate-limited", Pattern: /rate.?limit|too many (requests|messages)|\b429\b|temporarily (banned|blocked)|spam/i },
+    { Class: "session-disconnected", Pattern: /session closed|target closed|not connected|disconnected|logged out|client is not ready|reading 'pupPage'|browser has disconnected/i },
+    { Class: "page-crashed", Pattern: /page crashed|target crashed|execution context was destroyed|detached frame|navigation failed|evaluation failed|protocol error/i }
+];
+
+// A bot is taken out of the pool until it connects again only when its session looks gone and
+// whatsapp-web.js no longer reports it as CONNECTED. A broken page is retried on the same bot.
+async function hasDisconnected(client) {
+    try {
+        return (await client.getState()) !== "CONNECTED";
+    } catch (error) {
+        return true;
+    }
+}
+
+export function classifySendFailure(error) {
+    const message = String(error?.message || error);
+    const Class = FailurePatterns.find(Failure => Failure.Pattern.test(message))?.Class || "unknown";
+    return { Class, message, retriable: CampaignSettings.SendRetry.Retriable.includes(Class) };
+}
+
+// Another bot with quota left, or the same one when it is the only bot still connected.
+async function nextSender(Sender, Iteration, Time, Runtime) {
+    const senders = Runtime.Pool.connectedSenders();
+    for (let attempt = 0; attempt < senders.length; attempt++) {
+        const Candidate = await SelectingBotForCampaign(Iteration, Time, Runtime);
+        if (!Candidate || Candidate.number !== Sender.number) {
+            return Candidate;
+        }
+    }
+    return senders.find(sender => sender.number === Sender.number);
+}
+
+// Sends through Sender and, when the failure is retriable, again after SendRetry.Backoff,
+// doubled for every further attempt: through another bot, or the same one for a broken page.
+// Returns { SendReport, Sender, attempts } or { Failure, attempts } once the failure is
+// permanent or MaxAttempts is reached.
+export async function sendWithRetry(Sender, send, { Iteration, Time, Runtime, onSleep = () => {}, Retry = CampaignSettings.SendRetry }) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return { SendReport: await send(Sender.client), Sender, attempts: attempt };
+        } catch (error) {
+            const Failure = classifySendFailure(error);
+            console.log(`Attempt ${attempt} through ${Sender.number} failed as \u001b[41m${Failure.Class}\u001b[0m`, Failure.message);
+            if (Failure.Class === "session-disconnected" && await hasDisconnected(Sender.client)) {
+                Runtime.Pool.markDisconnected(Sender.number, Failure.Class);
+            }
+            if (!Failure.retriable || attempt >= Retry.MaxAttempts) {
+                return { Failure, Sender, attempts: attempt };
+            }
+            const backoff = Retry.Backoff * 2 ** (attempt - 1);
+            onSleep({ reason: "retry", name: Failure.Class, until: new Date(Runtime.Clock.now().getTime() + backoff) });
+            await Runtime.Clock.sleep(backoff);
+            const Next = Failure.Class === "page-crashed" ? Sender : await nextSender(Sender, Iteration, Time, Runtime);
+            if (!Next) {
+                console.log("No other bot can retry this message");
+                return { Failure, Sender, attempts: attempt };
+            }
+            Sender = Next;
+        }
+    }
+}
@@ -0,0 +1,55 @@
+import * as CampaignQueue from "./CampaignQueue.js";
+import { SendingQuota } from "../../Inputs/SendingQuota.js";
+import { nextSendingTime, startOfZonedDay, startOfZonedHour } from "../Time/WorkingHours.js";
+
+const DAY = 86_400_000;
+const HOUR = 3_600_000;
+
+// A new number starts at WarmUpStartPerDay messages and climbs in even steps to its full
+// daily limit over WarmUpDays days. Only a number whose Agent has a warmupStartDate is new,
+// every other number sends at its full limit.
+export function warmUpDailyLimit(dailyLimit, warmupStartDate, now = new Date()) {
+    const day = Math.max(0, Math.floor((now - warmupStartDate) / DAY));
+    if (day >= SendingQuota.WarmUpDays) {
+        return dailyLimit;
+    }
+    const step = (dailyLimit - SendingQuota.WarmUpStartPerDay) / SendingQuota.WarmUpDays;
+    return Math.min(dailyLimit, Math.round(SendingQuota.WarmUpStartPerDay + step * day));
+}
+
+// The Store is CampaignQueue for live campaigns, a dry run passes its in-memory store.
+export async function checkSenderQuota(senderNumber, Time, now = new Date(), Store = CampaignQueue) {
+    const agent = await Store.findSenderAgent(senderNumber);
+    const fullDailyLimit = agent?.dailyMessageLimit ?? SendingQuota.DailyLimit;
+    const dailyLimit = agent?.warmupStartDate ? warmUpDailyLimit(fullDailyLimit, agent.warmupStartDate, now) : fullDailyLimit;
+    const hourlyLimit = agent?.hourlyMessageLimit ?? SendingQuota.HourlyLimit;
+
+    // Days and hours are counted in the working calendar's timezone.
+    const startOfDay = startOfZonedDay(now);
+    const startOfHour = startOfZonedHour(now);
+
+    const sentToday = await Store.countSenderMessagesSince(senderNumber, startOfDay);
+    if (sentToday >= dailyLimit) {
+        return { allowed: false, reason: "daily", sentToday, dailyLimit, resetsAt: nextSendingTime(startOfZonedDay(now, 1), Time) };
+    }
+    const sentThisHour = await Store.countSenderMessagesSince(senderNumber, startOfHour);
+    if (sentThisHour >= hourlyLimit) {
+        return { allowed: false, reason: "hourly", sentToday, dailyLimit, resetsAt: new Date(startOfHour.getTime() + HOUR) };
+    }
+    return { allowed: true, sentToday, dailyLimit };
+}
+
+// When every connected bot is at quota, the campaign waits for the first one to be freed.
+export async function earliestQuotaReset(senders, Time, now = new Date(), Store = CampaignQueue) {
+    let earliest;
+    for (const sender of senders) {
+        const quota = await checkSenderQuota(sender.number, Time, now, Store);
+        if (quota.allowed) {
+            return now;
+        }
+        if (!earliest || quota.resetsAt < earliest) {
+            earliest = quota.resetsAt;
+        }
+    }
+    return earliest || now;
+}
@@ -1,7 +1,10 @@
+import { usablePhoneDigits } from "./PhoneNumber.js";
+
 export const CorrectifyOneNumer = (Number) => {
     console.log("in CorrectifyOneNumer,,,,,,,,,,,,,,,", Number)
 
-let res = Number.replace(/[^\d]/g, '').replace(/^0+|(?<=971)0+/g, "")
+// An empty string for a number that cannot be used, the agent replies check for it.
+let res = usablePhoneDigits(Number) || ""
     console.log("in CorrectifyOneNumer before return", res)
 
 
@@ -0,0 +1,96 @@
+import { prisma } from "../Database/prismaClient.js";
+import { OptOutKeywords } from "../../Inputs/OptOutKeywords.js";
+
+const digitsOf = number => String(number).replace(/@c\.us$/, "").replace(/\D/g, "");
+
+// "Don't message me!" becomes "dont message me" and "إلغاء" becomes "الغاء".
+function normalizeText(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/['’`]/g, "")
+        .replace(/[\u064B-\u065F\u0670\u0640]/g, "")
+        .replace(/[أإآ]/g, "ا")
+        .replace(/[^\p{L}\p{N}]+/gu, " ")
+        .trim();
+}
+
+// Keywords are { Words, Phrases } like OptOutKeywords.
+export function matchesKeywords(body, Keywords) {
+    const text = normalizeText(body);
+    if (Keywords.Words.some(word => normalizeText(word) === text)) {
+        return true;
+    }
+    return Keywords.Phrases.some(phrase => ` ${text} `.includes(` ${normalizeText(phrase)} `));
+}
+
+export const isOptOutMessage = body => matchesKeywords(body, OptOutKeywords);
+
+// Marks the number and the owner it belongs to as do-not-contact. The whatsapp Contact row is
+// created when the number is not known yet, so the opt-out holds for any future sheet too.
+// Returns false when the number had already opted out.
+export async function markDoNotContact(number, note = "Opted out by WhatsApp reply") {
+    const phone = digitsOf(number);
+    const existing = await prisma.contact.findUnique({ where: { phone_type: { phone, type: "whatsapp" } } });
+    if (existing?.status === "do-not-contact") {
+        return false;
+    }
+    await prisma.contact.upsert({
+        where: { phone_type: { phone, type: "whatsapp" } },
+        create: { phone, type: "whatsapp", status: "do-not-contact", validationNotes: note },
+        update: { status: "do-not-contact", validationNotes: note }
+    });
+    await prisma.contact.updateMany({ where: { phone }, data: { status: "do-not-contact" } });
+    await prisma.owner.updateMany({
+        where: { OR: [{ primaryPhone: { in: [phone, `+${phone}`] } }, { secondaryPhone: { in: [phone, `+${phone}`] } }] },
+        data: { status: "do-not-contact" }
+    });
+    console.log(`The number \u001b[41m${phone}\u001b[0m is marked as do-not-contact`, note);
+    return true;
+}
+
+export async function isDoNotContact(number) {
+    const phone = digitsOf(number);
+    const contact = await prisma.contact.findFirst({ where: { phone, status: "do-not-contact", deletedAt: null } });
+    if (contact) {
+        return true;
+    }
+    const owner = await prisma.owner.findFirst({
+        where: {
+            status: "do-not-contact",
+            OR: [{ primaryPhone: { in: [phone, `+${phone}`] } }, { secondaryPhone: { in: [phone, `+${phone}`] } }]
+        }
+    });
+    return Boolean(owner);
+}
+
+// Every opted-out number, read once before a campaign builds its queue.
+export async function doNotContactNumbers() {
+    const contacts = await prisma.contact.findMany({ where: { status: "do-not-contact", deletedAt: null }, select: { phone: true } });
+    const owners = await prisma.owner.findMany({
+        where: { status: "do-not-contact" },
+        select: { primaryPhone: true, secondaryPhone: true }
+    });
+    return new Set(
+        contacts.map(contact => contact.phone)
+            .concat(owners.flatMap(owner => [owner.primaryPhone, owner.secondaryPhone]))
+            .filter(Boolean)
+            .map(digitsOf)
+    );
+}
+
+// Runs on every incoming message before MessageAnalyzer. The confirmation is sent only the
+// first time, an owner who repeats "stop" is not answered again.
+export async function handleOptOut(msg) {
+    if (msg.fromMe || msg.type !== "chat" || !msg.from.endsWith("@c.us") || !isOptOutMessage(msg.body)) {
+        return false;
+    }
+    try {
+        console.log(`The owner ${msg.from} has asked not to be contacted again: "${msg.body}"`);
+        if (await markDoNotContact(msg.from)) {
+            await msg.reply(OptOutKeywords.Confirmation);
+        }
+    } catch (error) {
+        console.log(error);
+    }
+    return true;
+}
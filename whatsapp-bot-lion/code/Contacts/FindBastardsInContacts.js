@@ -5,9 +5,10 @@ export async function FindBastardsInContacts(Project) {
     let ListOfBastards = [];
     try {
         const data = await getSheet(Project);
-        const NumbersOfBastards = await getNumbersArrayFromRows(data.data.values);
+        // Every number of a row is left out, not only the one a campaign would message.
+        const NumbersOfBastards = await getNumbersArrayFromRows(data.data.values, { phoneNumbers: "all" });
         console.log("The code has found bastards working code", NumbersOfBastards)
-        ListOfBastards = NumbersOfBastards.CorrectNumbers;
+        ListOfBastards = NumbersOfBastards.CorrectNumbers.concat(NumbersOfBastards.updatedUAENumbers);
     } catch (error) {
         console.log(error)
     }
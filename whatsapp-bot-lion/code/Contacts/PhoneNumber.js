@@ -0,0 +1,115 @@
+import countryPhoneCodes from "./countryPhoneCodes.json" assert { type: "json" };
+import UAEMobileNetworkCodes from "./UAEMobileNetworkCodes.json" assert { type: "json" };
+
+// Every contact function cleans numbers through normalizePhoneNumber, so a number from the
+// sheet, a reply or the database always comes out the same way.
+
+const UAE = { Code: "971", Iso: "AE" };
+// UAE landlines without the leading 0: Abu Dhabi 2, Al Ain 3, Dubai 4, Sharjah 6, RAK 7, Fujairah 9.
+const UAELandlineAreaCodes = ["2", "3", "4", "6", "7", "9"];
+// Country codes shared by several countries in countryPhoneCodes.json, the one most owners use.
+const PreferredCountries = { 1: "US", 7: "RU", 47: "NO", 61: "AU", 64: "NZ", 212: "MA", 262: "RE", 590: "BL", 599: "CW" };
+// The shortest national number (without the country code) of the countries most owners come
+// from. Any other country needs 11 digits with its code, as the sheets were always checked.
+const MinimumNationalLengths = {
+    US: 10, CA: 10, GB: 10, IE: 9, IN: 10, PK: 10, BD: 10, LK: 9, NP: 10, AF: 9, IR: 10, IQ: 10,
+    EG: 10, SA: 9, QA: 8, KW: 8, BH: 8, OM: 8, JO: 9, LB: 7, SY: 9, YE: 9, SD: 9, MA: 9,
+    RU: 10, KZ: 10, CN: 11, PH: 10, NG: 10, ZA: 9, KE: 9, TR: 10, FR: 9, IT: 9, ES: 9,
+    NL: 9, DE: 10, CH: 9, NO: 8, AU: 9, NZ: 8
+};
+const MinimumLength = 11;
+
+// "1-684" becomes "1684", "1-809, 1-829, 1-849" gives three prefixes.
+let CountriesByPrefix = {};
+for (const Country of countryPhoneCodes) {
+    for (const code of Country.code.split(",")) {
+        const prefix = code.replace(/\D/g, "");
+        prefix && (CountriesByPrefix[prefix] ??= []).push(Country.iso);
+    }
+}
+const LongestPrefix = Math.max(...Object.keys(CountriesByPrefix).map(prefix => prefix.length));
+
+function findCountry(digits) {
+    for (let length = Math.min(LongestPrefix, digits.length); length > 0; length--) {
+        const prefix = digits.slice(0, length);
+        const Countries = CountriesByPrefix[prefix];
+        if (Countries) {
+            // A shared code resolved through PreferredCountries is as good as an unshared one.
+            return { prefix, iso: PreferredCountries[prefix] || Countries[0], shared: Countries.length > 1 && !PreferredCountries[prefix] };
+        }
+    }
+}
+
+const result = (digits, country, confidence, reason) => ({
+    number: confidence === "none" ? null : `+${digits}`,
+    digits,
+    country,
+    confidence,
+    reason
+});
+
+// A cell can hold two numbers ("050 123 4567 / 055 765 4321"), each is its own candidate.
+export const splitPhoneNumbers = raw => String(raw ?? "").split(/[\/,;]|\bor\b/i).map(part => part.trim()).filter(Boolean);
+
+// Parses a raw cell, reply or database value into E.164. The result is
+// { number: "+971501234567" or null, digits, country (ISO), confidence, reason } where
+// confidence is "high", "medium", "low" or "none" for a number that cannot be used.
+export function normalizePhoneNumber(raw) {
+    // A cell with two numbers is read up to the first separator, see splitPhoneNumbers.
+    const text = splitPhoneNumbers(raw)[0] || "";
+    const international = /^(\+|00)/.test(text);
+    let digits = text.replace(/\D/g, "").replace(/^0+/, "");
+    // "+971 (0)50..." and "009710501234567" carry the trunk 0 after the country code.
+    digits = digits.replace(/^9710+/, UAE.Code);
+
+    if (digits.length === 0) {
+        return result(digits, null, "none", "empty");
+    }
+    if (digits.length < 7) {
+        return result(digits, null, "none", "too-short");
+    }
+    if (digits.length > 15) {
+        return result(digits, null, "none", "too-long");
+    }
+    // 050 123 4567 as most owners write it.
+    if (!international && digits.length === 9 && UAEMobileNetworkCodes.some(Network => digits.startsWith(Network.CellPhoneCode))) {
+        return result(UAE.Code + digits, UAE.Iso, "high", "uae-mobile-without-country-code");
+    }
+    if (!international && digits.length === 8 && UAELandlineAreaCodes.includes(digits[0])) {
+        return result(UAE.Code + digits, UAE.Iso, "low", "uae-landline-without-country-code");
+    }
+    const Country = findCountry(digits);
+    if (!Country || digits.length - Country.prefix.length < 4) {
+        return result(digits, null, "none", "unknown-country-code");
+    }
+    if (Country.iso === UAE.Iso) {
+        const national = digits.slice(UAE.Code.length);
+        if (national.length === 9 && UAEMobileNetworkCodes.some(Network => national.startsWith(Network.CellPhoneCode))) {
+            return result(digits, UAE.Iso, "high", "uae-mobile");
+        }
+        return result(digits, UAE.Iso, national.length === 8 ? "medium" : "low", national.length === 8 ? "uae-landline" : "uae-unexpected-length");
+    }
+    // 2012345 is not an Egyptian number, nor is the Indian 9876543210 an Iranian one.
+    const minimum = MinimumNationalLengths[Country.iso] ? Country.prefix.length + MinimumNationalLengths[Country.iso] : MinimumLength;
+    if (digits.length < minimum) {
+        return result(digits, Country.iso, "low", "too-short-for-country");
+    }
+    // Without "+" or "00" a foreign-looking number may still be a mistyped local one.
+    const confidence = international && !Country.shared ? "high" : international || !Country.shared ? "medium" : "low";
+    return result(digits, Country.iso, confidence, Country.shared ? "shared-country-code" : international ? "international" : "country-code");
+}
+
+// A guessed (low confidence) or invalid number is never messaged or handed on.
+export const isUsablePhoneNumber = Normalized => Boolean(Normalized.number) && Normalized.confidence !== "low";
+
+// The digits of a usable number, "971501234567", or null.
+export function usablePhoneDigits(raw) {
+    const Normalized = normalizePhoneNumber(raw);
+    return isUsablePhoneNumber(Normalized) ? Normalized.digits : null;
+}
+
+// The WhatsApp chat id of a usable number, "971501234567@c.us", or null.
+export function whatsAppId(raw) {
+    const digits = usablePhoneDigits(raw);
+    return digits && `${digits}@c.us`;
+}
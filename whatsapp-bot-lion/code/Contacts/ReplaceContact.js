@@ -1,9 +1,10 @@
+import { usablePhoneDigits } from "./PhoneNumber.js";
+
 export async function ReplaceContact(Number) {
 let NewNumber;
     try {
-        NewNumber = (String(Number) || Number || '')
-        .replace(/[^\d]/g, '')
-        .replace(/^0+|(?<=971)0+/g, "")
+        // null for a number that is invalid or only guessed.
+        NewNumber = usablePhoneDigits(Number)
     } catch (error) {
         console.log(error)
     }
@@ -11,4 +12,4 @@ let NewNumber;
 
     return NewNumber;
 
-}
\ No newline at end of file
+}
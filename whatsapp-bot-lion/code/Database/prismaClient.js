@@ -0,0 +1,5 @@
+import pkg from "@prisma/client";
+const { PrismaClient } = pkg;
+
+// One client for the whole bot, every campaign shares the same connection pool.
+export const prisma = new PrismaClient();
@@ -1,14 +1,49 @@
 import { sleepTime } from '../Time/sleepTime.js';
-import countryPhoneCodes from "../Contacts/countryPhoneCodes.json" assert { type: "json" };
-import UAEMobileNetworkCodes from "../Contacts/UAEMobileNetworkCodes.json" assert { type: "json" };
+import { normalizePhoneNumber, splitPhoneNumbers } from "../Contacts/PhoneNumber.js";
 
-export async function getNumbersArrayFromRows(Rows) {
+// The columns of a row that can hold a number of the owner, in the order they are preferred.
+export const PhoneColumns = [
+    { column: "Phone", columnIndex: 5 },
+    { column: "Mobile", columnIndex: 7 },
+    { column: "Secondary Mobile", columnIndex: 8 }
+];
+// "primary" takes the first usable number of every row, "secondary" the second usable number
+// of a row that has two, "all" every number of the row.
+export const PhoneSelections = ["primary", "secondary", "all"];
+
+// A number is correct when its country code is known, a UAE mobile written without 971
+// is corrected, a guess or an unknown country code is only half correct.
+function numberClassification(Normalized) {
+    if (!Normalized.number && Normalized.reason !== "unknown-country-code") {
+        return "wrong"
+    }
+    if (Normalized.reason === "uae-mobile-without-country-code") {
+        return "uae-corrected"
+    }
+    return Normalized.number && Normalized.confidence !== "low" ? "correct" : "half-correct"
+}
+
+// "Mobile, row 12" as the agents see it in the sheet, the heading is row 1.
+export const formatNumberSource = Source => `${Source.column}, row ${Source.row + 1}`;
+
+export async function getNumbersArrayFromRows(Rows, { phoneNumbers = "primary" } = {}) {
         console.log(`in sheet find numbers`, Rows.length);
+    if (!PhoneSelections.includes(phoneNumbers)) {
+        throw new Error(`Unknown phone numbers "${phoneNumbers}", use one of ${PhoneSelections.join(", ")}`);
+    }
 let rows = Rows.length;
     let Numbers = [...new Set([])];
     let CorrectNumbers = [...new Set([])];
     let HalfCorrectNumbers = [...new Set([])];
     let updatedUAENumbers = [...new Set([])];
+    // The sheet row of each usable number, so campaigns can personalise the message.
+    let RowByNumber = {};
+    // Every number found in each sheet row as { number, column, columnIndex, row, classification,
+    // confidence, reason }, and where each usable number was first read from.
+    let NumbersByRow = [];
+    let SourceByNumber = {};
+    // The other usable numbers of the same owner, when a row gives more than one.
+    let OwnerNumbersByNumber = {};
 
 
     let WrongNumbers = [];
@@ -17,59 +52,46 @@ let rows = Rows.length;
         // console.log(value[5])
         
         // console.log("Phone", (value[5]),"Mobile",(value[7]),"Secondary Mobile", value[8])
+        const row = parseInt(key)
+        // The first row holds the headings.
+        if (row === 0) {
+            continue
+        }
         sleepTime(1000);
-        let Phone = await (value[5]);
-
-        let Mobile = await (value[7]);
-        let SecondaryMobile = await (value[8]);
-        let Number = (
-            String(Phone) || Phone ||
-            String(Mobile) || Mobile || 
-            String(SecondaryMobile) || SecondaryMobile || '')
-        .replace(/[^\d]/g, '')
-        .replace(/^0+|(?<=971)0+/g, "")
-        let foundedCountryCode = countryPhoneCodes.find(element => Number.startsWith(element.code))
-        let foundUAEMobileCode = UAEMobileNetworkCodes.find(element => Number.startsWith(element.CellPhoneCode))
-        if (Number.length < 9) {
-            WrongNumbers.push(Number)
+        let Found = []
+        for (const { column, columnIndex } of PhoneColumns) {
+            // An empty cell gives no candidate, and the same number in two cells is kept once.
+            for (const part of splitPhoneNumbers(value?.[columnIndex])) {
+                const Normalized = normalizePhoneNumber(part)
+                if (Found.some(found => found.number === Normalized.digits)) {
+                    continue
+                }
+                Found.push({ number: Normalized.digits, column, columnIndex, row, classification: numberClassification(Normalized), confidence: Normalized.confidence, reason: Normalized.reason })
+            }
         }
-        else if (Number.length > 10 && foundedCountryCode) {
-            // console.log(`the number ${Number} and the country code founded${foundedCountryCode}
-            //     the length of number is ${Number.length}`)
-            CorrectNumbers.push(Number)
+        NumbersByRow[row] = Found
 
+        const Usable = Found.filter(found => ["correct", "uae-corrected"].includes(found.classification))
+        // A row without a usable number still reports its first number as wrong or half correct.
+        const Selected = phoneNumbers === "all" ? Found
+            : phoneNumbers === "secondary" ? Usable.slice(1, 2)
+            : Usable.length ? Usable.slice(0, 1) : Found.slice(0, 1)
+        for (const Phone of Selected) {
+            if (Phone.classification === "wrong") {
+                WrongNumbers.push(Phone.number)
+                continue
+            }
+            if (Phone.classification === "half-correct") {
+                HalfCorrectNumbers.push(Phone.number)
+                continue
+            }
+            Phone.classification === "uae-corrected" ? updatedUAENumbers.push(Phone.number) : CorrectNumbers.push(Phone.number)
+            RowByNumber[Phone.number] ??= row
+            SourceByNumber[Phone.number] ??= { column: Phone.column, columnIndex: Phone.columnIndex, row }
         }
-        else if (Number.length == 9 && foundUAEMobileCode) {
-            let newNumber = '971' + Number
-            // console.log(`the updated number with UAE code correction 
-            //     ${newNumber} and the mobile code${foundUAEMobileCode}
-            //     the length of number is ${newNumber.length}`)
-            updatedUAENumbers.push(newNumber)
-        }
-        else {
-            HalfCorrectNumbers.push(Number)
-            // if (Number.length < 9) {
-            //     let newNumber = '971' + Number
-            //     // console.log(`the number correction 11,,,,,,,,,,,,
-            //     // ${newNumber} and the country code${foundedCountryCode}
-            //     // the length of number is ${newNumber.length}`)
-            //     Numbers.push(newNumber)
-            // }
-            // else if (Number.length == 9) {
-            //     let newNumber = '971' + Number
-            //     // console.log(`the number correction 11,,,,,,,,,,,,
-            //     // ${newNumber} and the country code${foundedCountryCode}
-            //     // the length of number is ${newNumber.length}`)
-            //     Numbers.push(newNumber)
-            // }
-            // else {
-            //     let newNumber = '971' + Number
-            //     // console.log(`the number correction 13,,,,,,,,,,,,
-            //     // ${newNumber} and the country code${foundedCountryCode}
-            //     // the length of number is ${newNumber.length}`)
-            //     Numbers.push(newNumber)
-
-            // }
+        const OwnerNumbers = Selected.filter(found => Usable.includes(found)).map(found => found.number)
+        for (const number of OwnerNumbers.length > 1 ? OwnerNumbers : []) {
+            OwnerNumbersByNumber[number] = [...new Set((OwnerNumbersByNumber[number] || []).concat(OwnerNumbers.filter(other => other !== number)))]
         }
         // console.log("The country code", foundedCountryCode)
         // console.log("the number is after replacements ", Numbers)
@@ -86,6 +108,10 @@ let rows = Rows.length;
         CorrectNumbers,
         WrongNumbers,
         HalfCorrectNumbers,
-        updatedUAENumbers
+        updatedUAENumbers,
+        RowByNumber,
+        NumbersByRow,
+        SourceByNumber,
+        OwnerNumbersByNumber
     }
 }
\ No newline at end of file
@@ -0,0 +1,30 @@
+import pkg from "whatsapp-web.js";
+import { existsSync } from "fs";
+import path from "path";
+const { MessageMedia } = pkg;
+
+// The brochure, floor plan or video of a campaign is read from disk once and the same
+// MessageMedia is sent to every owner, with their rendered message as the caption.
+export function loadCampaignMedia(mediaPath) {
+    if (!mediaPath) {
+        return null;
+    }
+    const filePath = path.resolve(mediaPath);
+    if (!existsSync(filePath)) {
+        throw new Error(`The campaign media ${filePath} does not exist`);
+    }
+    const media = MessageMedia.fromFilePath(filePath);
+    console.log(`The campaign sends \u001b[44m${media.filename}\u001b[0m (${media.mimetype}) with every message`);
+    return media;
+}
+
+export async function sendCampaignMessage(client, chatId, content, media) {
+    if (!media) {
+        return client.sendMessage(chatId, content);
+    }
+    try {
+        return await client.sendMessage(chatId, media, { caption: content });
+    } catch (error) {
+        throw new Error(`Sending the media ${media.filename} failed: ${error?.message || error}`);
+    }
+}
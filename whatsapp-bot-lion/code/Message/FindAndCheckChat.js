@@ -2,14 +2,20 @@
 // import { watchTime, holdForFewMinutes } from "../Time/waitingTime.js";
 // import { SelectingBotForCampaign } from "../WhatsAppBot/SelectingBotForCampaign.js";
 import { changeNormalNumberWithWhatsAppNumber } from "../Contacts/changeWhatsAppNumberWithNormalNumber.js"
+import { isOptOutMessage, matchesKeywords } from "../Contacts/DoNotContact.js";
+import { CampaignSettings } from "../../Inputs/CampaignSettings.js";
+import { NegativeReplies } from "../../Inputs/NegativeReplies.js";
+
+const DayInMilliseconds = 24 * 60 * 60 * 1000;
+
+export const isNegativeReply = body => isOptOutMessage(body) || matchesKeywords(body, NegativeReplies);
 
 export async function findAndCheckChat(Number, i, Time, WhatsAppBotClient) {
   let result = false;
-  let iteration2 = i % Time.Agents;
   let waNumber = changeNormalNumberWithWhatsAppNumber(Number)
 
   console.log("Chat finding with contact's .......................", parseInt(Number))
-  console.log("Chat finding with contact's .......................", (iteration2))
+  console.log("Chat finding with contact's .......................", (i))
 
 
   // setTimeout(function () {
@@ -33,4 +39,33 @@ export async function findAndCheckChat(Number, i, Time, WhatsAppBotClient) {
   }
   // console.log("....... .......................this number has chat", result)
   return result
+}
+
+// Why CampaignSettings.ChatSkipPolicy leaves this owner out, or null when they are messaged.
+// The reasons are "negative-reply", "recent-chat" and "recent-outreach".
+export async function chatSkipReason(chat, now = new Date(), Policy = CampaignSettings.ChatSkipPolicy) {
+  if (!chat?.timestamp) {
+    return null
+  }
+  let messages = []
+  try {
+    messages = await chat.fetchMessages({ limit: Policy.MessagesToRead })
+  } catch (error) {
+    // Without the messages only the time of the last one is known.
+    console.log(error)
+  }
+  if (messages.some(message => !message.fromMe && message.body && isNegativeReply(message.body))) {
+    return "negative-reply"
+  }
+  const last = messages[messages.length - 1]
+  const days = (now - (last?.timestamp || chat.timestamp) * 1000) / DayInMilliseconds
+  if (last?.fromMe) {
+    if (days >= Policy.UnansweredOutreachDays) {
+      return null
+    }
+    if (days < Policy.RecentChatDays) {
+      return "recent-outreach"
+    }
+  }
+  return days < Policy.RecentChatDays ? "recent-chat" : null
 }
\ No newline at end of file
@@ -0,0 +1,59 @@
+import { prisma } from "../Database/prismaClient.js";
+import { MessageLanguages } from "../../Inputs/MessageLanguages.js";
+import { normalizePhoneNumber } from "../Contacts/PhoneNumber.js";
+
+// The language of one owner: their nationality first, then the country code of the number as
+// normalizePhoneNumber completes it, then MessageLanguages.Default.
+export function languageForRecipient(Number, nationality, Languages = MessageLanguages) {
+    const byNationality = Languages.ByNationality[String(nationality || "").trim().toLowerCase()];
+    if (byNationality) {
+        return byNationality;
+    }
+    const digits = normalizePhoneNumber(Number).digits;
+    const prefix = Object.keys(Languages.ByCountryCode)
+        .filter(code => digits.startsWith(code))
+        .sort((a, b) => b.length - a.length)[0];
+    return prefix ? Languages.ByCountryCode[prefix] : Languages.Default;
+}
+
+// Translations look like { ar: "...", ur: [...] }: a string is used for every variant, an array
+// holds one translation per variant. A missing translation falls back to the variant itself.
+export function templateForLanguage(variants, translations, Variant, language) {
+    const translation = translations?.[language];
+    const template = Array.isArray(translation) ? translation[Variant] : translation;
+    return template || variants[Variant];
+}
+
+const digitsOf = number => String(number).replace(/@c\.us$/, "").replace(/\D/g, "");
+
+// Fills in the nationality of owners whose sheet row has none from their Owner row, matched
+// on the primary or secondary phone with or without "+" like the campaign audience.
+export async function addOwnerNationalities(variablesByNumber, Numbers) {
+    const missing = Numbers.filter(Number => !variablesByNumber[Number]?.nationality).map(String);
+    if (missing.length === 0) {
+        return variablesByNumber;
+    }
+    const phones = missing.map(digitsOf);
+    const owners = await prisma.owner.findMany({
+        where: {
+            deletedAt: null,
+            nationality: { not: null },
+            OR: [
+                { primaryPhone: { in: phones.concat(phones.map(phone => `+${phone}`)) } },
+                { secondaryPhone: { in: phones.concat(phones.map(phone => `+${phone}`)) } }
+            ]
+        },
+        select: { primaryPhone: true, secondaryPhone: true, nationality: true }
+    });
+    let NationalityByPhone = {};
+    for (const owner of owners) {
+        [owner.primaryPhone, owner.secondaryPhone].filter(Boolean).forEach(phone => (NationalityByPhone[digitsOf(phone)] ??= owner.nationality));
+    }
+    for (const Number of missing) {
+        const nationality = NationalityByPhone[digitsOf(Number)];
+        if (nationality) {
+            variablesByNumber[Number] = { ...variablesByNumber[Number], nationality };
+        }
+    }
+    return variablesByNumber;
+}
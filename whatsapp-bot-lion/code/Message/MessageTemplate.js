@@ -0,0 +1,56 @@
+import { SheetColumns } from "../../Inputs/SheetColumns.js";
+
+// Placeholders look like {{firstName}} or {{firstName|Sir/Madam}}, the part after "|" is used
+// when the owner's row has no value for that field. An empty placeholder also takes the space
+// in front of it, so "Hello {{firstName}}," becomes "Hello," rather than "Hello ,".
+const Placeholder = /( ?)\{\{\s*(\w+)\s*(?:\|([^}]*))?\}\}/g;
+
+const camelCase = heading => String(heading)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+(.)?/g, (match, letter) => (letter ? letter.toUpperCase() : ""));
+
+function findColumn(Headings, Column) {
+    const index = Headings.findIndex(heading => Column.Headers.includes(String(heading).trim().toLowerCase()));
+    return index >= 0 ? index : Column.Index;
+}
+
+// Every column of the row is available under its camelCased heading, plus the fields the
+// templates use most: firstName, lastName, fullName, unitNumber and cluster.
+export function templateVariablesFromRow(Headings, Row, Project) {
+    let variables = {};
+    Headings.forEach((heading, index) => {
+        const key = camelCase(heading);
+        if (key && Row[index]) {
+            variables[key] = String(Row[index]).trim();
+        }
+    });
+    const fullName = String(Row[findColumn(Headings, SheetColumns.Name)] ?? "").trim();
+    const [firstName, ...lastName] = fullName.split(/\s+/).filter(Boolean);
+    return {
+        ...variables,
+        fullName,
+        firstName,
+        lastName: lastName.join(" "),
+        unitNumber: String(Row[findColumn(Headings, SheetColumns.UnitNumber)] ?? "").trim(),
+        cluster: String(Row[findColumn(Headings, SheetColumns.Cluster)] ?? "").trim(),
+        project: Project?.ProjectName
+    };
+}
+
+export function renderTemplate(template, variables = {}) {
+    return template.replace(Placeholder, (match, space, name, fallback) => {
+        const value = variables[name] || (fallback ?? "").trim();
+        return value ? space + value : "";
+    });
+}
+
+// Maps every campaign number to the variables of the sheet row it was read from.
+export function buildTemplateVariables(Rows, RowByNumber, Project) {
+    const Headings = Rows[0] || [];
+    let VariablesByNumber = {};
+    for (const [Number, RowIndex] of Object.entries(RowByNumber)) {
+        VariablesByNumber[Number] = templateVariablesFromRow(Headings, Rows[RowIndex], Project);
+    }
+    return VariablesByNumber;
+}
@@ -0,0 +1,32 @@
+import { GreetingCalendar } from "../../Inputs/GreetingCalendar.js";
+import { WorkingCalendar } from "../../Inputs/WorkingCalendar.js";
+import { dateKey } from "../Time/WorkingHours.js";
+
+const Formatters = {};
+const pad = value => String(value).padStart(2, "0");
+const DayInMilliseconds = 24 * 60 * 60 * 1000;
+
+// "09-01" on the first day of Ramadan, read in the calendar's timezone.
+export function hijriKey(date, Greetings = GreetingCalendar, Calendar = WorkingCalendar) {
+    Formatters[Calendar.TimeZone] ??= new Intl.DateTimeFormat("en-US-u-ca-islamic-umalqura", {
+        timeZone: Calendar.TimeZone,
+        month: "numeric",
+        day: "numeric"
+    });
+    const adjusted = new Date(date.getTime() + (Greetings.HijriAdjustment || 0) * DayInMilliseconds);
+    let parts = {};
+    for (const { type, value } of Formatters[Calendar.TimeZone].formatToParts(adjusted)) {
+        parts[type] = value;
+    }
+    return `${pad(parts.month)}-${pad(parts.day)}`;
+}
+
+const inRange = (key, { From, To }) => (From <= To ? From <= key && key <= To : key >= From || key <= To);
+
+// The greeting of the calendar for this send date, or undefined on an ordinary day.
+export function seasonalGreeting(date = new Date(), Greetings = GreetingCalendar, Calendar = WorkingCalendar) {
+    const gregorian = dateKey(date, Calendar).slice(5);
+    const hijri = hijriKey(date, Greetings, Calendar);
+    return Greetings.Greetings.find(Greeting =>
+        (Greeting.Hijri && inRange(hijri, Greeting.Hijri)) || (Greeting.Gregorian && inRange(gregorian, Greeting.Gregorian)));
+}
@@ -1,4 +1,5 @@
 import { Eve as WhatsAppBotClient } from "../../index.js"
+import { isDoNotContact } from "../Contacts/DoNotContact.js";
 
 export async function SendMessageToOneNumber(Number) {
     let result;
@@ -9,6 +10,10 @@ export async function SendMessageToOneNumber(Number) {
 
 try {
     validatedContact=Number;
+    if (await isDoNotContact(validatedContact)) {
+        console.log(`${validatedContact} has opted out, the message is not sent`);
+        return { result, report: "do-not-contact" }
+    }
     const found = await WhatsAppBotClient.getChatById(validatedContact)
     result= await WhatsAppBotClient.sendMessage(validatedContact, message);
     console.log(result)
@@ -0,0 +1,83 @@
+import { createHash } from "crypto";
+import { MessageVariation } from "../../Inputs/MessageVariation.js";
+import { seededRandom } from "../Campaign/RecipientOrder.js";
+import { renderTemplate } from "./MessageTemplate.js";
+
+// "{Hi|Hello}" but not the "{{firstName|Sir}}" placeholders of MessageTemplate. Groups without
+// braces inside are resolved first, so "{Hi {there|all}|Hello}" works from the inside out.
+const Group = /(?<!\{)\{([^{}]*\|[^{}]*)\}(?!\})/;
+
+const randomFor = key => seededRandom(createHash("md5").update(key).digest().readUInt32BE(0));
+const pick = (random, options) => options[Math.floor(random() * options.length)];
+
+function resolveGroups(template, random) {
+    let text = template;
+    for (let match = text.match(Group); match; match = text.match(Group)) {
+        text = text.slice(0, match.index) + pick(random, match[1].split("|")) + text.slice(match.index + match[0].length);
+    }
+    return text;
+}
+
+// The first line ends with ".", "!" or nothing; a line ending in "?" or an emoji is left alone.
+function varyPunctuation(text, random) {
+    const [first, ...rest] = text.split("\n");
+    if (!/[\p{L}\p{N}.!]$/u.test(first)) {
+        return text;
+    }
+    return [first.replace(/[.!]$/, "") + pick(random, ["", ".", "!"]), ...rest].join("\n");
+}
+
+function addEmoji(text, random, Emojis) {
+    const [first, ...rest] = text.split("\n");
+    const emoji = pick(random, ["", ...Emojis]);
+    return [emoji ? `${first} ${emoji}` : first, ...rest].join("\n");
+}
+
+export const spinTemplate = (template, key) => resolveGroups(template, randomFor(`groups:${key}`));
+
+export function varyMessage(text, key, Variation = MessageVariation) {
+    const random = randomFor(`variation:${key}`);
+    let varied = text;
+    if (Variation.Punctuation) {
+        varied = varyPunctuation(varied, random);
+    }
+    if (Variation.Emoji) {
+        varied = addEmoji(varied, random, Variation.Emojis);
+    }
+    return varied;
+}
+
+// The spintax is resolved before the placeholders are filled in and the emoji and punctuation
+// are varied after. The same key (project and number) always gets the same version, so a
+// resumed campaign or a repeated preview does not change what an owner reads.
+export function renderVariedMessage(template, key, variables, Variation = MessageVariation) {
+    return varyMessage(renderTemplate(spinTemplate(template, key), variables), key, Variation);
+}
+
+// The number of different texts a template can give before the placeholders are filled in.
+export function countSpintaxVersions(template, Variation = MessageVariation) {
+    let count = 1;
+    let text = template;
+    for (let match = text.match(Group); match; match = text.match(Group)) {
+        // A nested group is counted as if it stood on its own, which can overstate the count a little.
+        count *= new Set(match[1].split("|")).size;
+        text = text.slice(0, match.index) + text.slice(match.index + match[0].length);
+    }
+    if (Variation.Punctuation) {
+        count *= 3;
+    }
+    if (Variation.Emoji) {
+        count *= Variation.Emojis.length + 1;
+    }
+    return count;
+}
+
+// Warns when the variants of a campaign together give too few distinct texts for its owners.
+export function spintaxUniqueness(templates, audienceSize, Variation = MessageVariation) {
+    const versions = templates.reduce((total, template) => total + countSpintaxVersions(template, Variation), 0);
+    const ownersPerVersion = versions ? audienceSize / versions : audienceSize;
+    const warning = ownersPerVersion > Variation.MaxOwnersPerVersion
+        ? `The message has only ${versions} distinct versions for ${audienceSize} owners, about ${Math.ceil(ownersPerVersion)} owners get the same text. Add {a|b} alternatives or turn on Emoji/Punctuation in Inputs/MessageVariation.js`
+        : undefined;
+    return { versions, ownersPerVersion, warning };
+}
@@ -1,4 +1,6 @@
-import { sleepTime } from "../Time/sleepTime.js"
+import { zonedHour } from "../Time/WorkingHours.js";
+import { seasonalGreeting } from "./SeasonalGreeting.js";
+import { GreetingCalendar } from "../../Inputs/GreetingCalendar.js";
 
 export const afternoonGreetingMessage = `Asalam o alikum Good Morning 
 I hope you are doing well.
@@ -6,7 +8,17 @@ May I ask if your property is still available in Damac Hills 2 for "Sale" or "Re
 
 export const RamadanGreetingMessage = `Ramadan Kareem ☪️`
 export const EidGreetingMessage = `Eid Mubarak ☪️`
-export const AfternoonMessage = `Eid Mubarak ☪️`
+// Holiday greetings are picked from Inputs/GreetingCalendar.js, this stays the everyday message.
+export const AfternoonMessage = afternoonGreetingMessage
+// Picked per owner by MessageLanguage, AfternoonMessage stays the English one.
+export const AfternoonMessageTranslations = {
+    ar: `السلام عليكم، صباح الخير
+أتمنى أن تكون بخير.
+هل يمكنني أن أسأل إن كان عقارك في داماك هيلز 2 لا يزال متاحاً "للبيع" أو "للإيجار"؟`,
+    ur: `السلام علیکم، صبح بخیر
+امید ہے آپ خیریت سے ہوں گے۔
+کیا میں پوچھ سکتا ہوں کہ ڈیماک ہلز 2 میں آپ کی پراپرٹی ابھی بھی "فروخت" یا "کرایہ" کے لیے دستیاب ہے؟`
+}
 
 
 
@@ -47,11 +59,17 @@ How are you doing today?
  كيف حالك اليوم؟`
 
 
-export async function findGreetingMessage(hour){
-    console.clear()
-    console.log(hour)
-    sleepTime(1000);
-    let message= "Hello"
+// The greeting for this send date: the one of GreetingCalendar on a holiday, otherwise the one
+// for the time of day in WorkingCalendar.TimeZone. Translations are only set where the
+// message is not already bilingual.
+export function findGreeting(date = new Date()){
+    const Seasonal = seasonalGreeting(date)
+    if (Seasonal) {
+        console.log(`It's ${Seasonal.Name}`);
+        return { Name: Seasonal.Name, Message: Seasonal.Message, Translations: Seasonal.Translations || {} }
+    }
+    const hour = zonedHour(date)
+    let message= "Hello", translations = {}
     var morning   = (hour >= 8  && hour <= 11),
     afternoon = (hour >= 12 && hour <= 16),
     evening   = (hour >= 17 && hour <= 20),
@@ -66,6 +84,7 @@ if(morning) {
 
   console.log("It's afternoon");
   message= afternoonGreetingMessage
+  translations = AfternoonMessageTranslations
 
 } else if(evening) {
 
@@ -79,7 +98,18 @@ if(morning) {
 
 }
 console.log( message)
-return message
+return { Name: "time of day", Message: message, Translations: translations }
+}
+
+// A campaign whose message is one of these greets each owner for the day the message goes out.
+export function isGreetingMessage(message){
+    return [MorningGreetingMessage, afternoonGreetingMessage, EveningGreeatingMessage, NighGreetingMessage, "Hello"]
+        .concat(GreetingCalendar.Greetings.map(Greeting => Greeting.Message))
+        .includes(message)
+}
+
+export async function findGreetingMessage(date = new Date()){
+    return findGreeting(date).Message
 }
 
 export const firstMessageToKing= "My king, Muko is here at your service.My love how are you doing? My king, thanks for waking me up"
@@ -1,51 +1,220 @@
 import { SleepTimeOfficialHoursWithRandomDelay } from "../Time/SleepTimeOfficialHoursWithRandomDelay.js"
 import {CampaignResult} from "../Console/CampaignResult.js"
-import { AfternoonMessage } from "./messages.js";
-import { findAndCheckChat } from "./FindAndCheckChat.js";
+import { findGreeting, isGreetingMessage } from "./messages.js";
+import { findAndCheckChat, chatSkipReason } from "./FindAndCheckChat.js";
 import { validateNumberWithCountryCode } from "../Contacts/validateNumberWithCountryCode.js";
  import { SelectingBotForCampaign } from "../../Inputs/SelectingBotForCampaign.js";
 import { InputOne } from "../../Inputs/InputOne.js";
-import { ShuffleMyArray} from "../MyProjects/ShuffleMyArray.js"
-export async function sendBroadcast(MNumbers, Project, newChatsOnly = true) {
+import { orderRecipients, createSeed } from "../Campaign/RecipientOrder.js";
+import { renderVariedMessage, spintaxUniqueness } from "./Spintax.js";
+import { languageForRecipient, templateForLanguage } from "./MessageLanguage.js";
+import { pickVariant } from "../Campaign/MessageVariants.js";
+import { earliestQuotaReset } from "../Campaign/SenderQuota.js";
+import { convertMsToTime } from "../Time/convertTime.js";
+import { waitForSendingWindow, nextSendingTime, formatZoned } from "../Time/WorkingHours.js";
+import { campaignCheckpoint } from "../Campaign/CampaignControl.js";
+import { loadCampaignMedia, sendCampaignMessage } from "./CampaignMedia.js";
+import { exportCampaignResults } from "../Campaign/CampaignExport.js";
+import { isFrequencyCapped } from "../Campaign/FrequencyCap.js";
+import { LiveRuntime } from "../Campaign/CampaignRuntime.js";
+import { createDryRunRuntime, dryRunSenderNumbers, summarizeDryRun } from "../Campaign/DryRunCampaign.js";
+import { trackCampaignProgress } from "../Campaign/CampaignProgress.js";
+import { sendWithRetry, classifySendFailure } from "../Campaign/SendFailures.js";
+import { WorkingCalendar } from "../../Inputs/WorkingCalendar.js";
+export async function sendBroadcast(MNumbers, Project, newChatsOnly = true, { resume = false, campaign: ScheduledCampaign, variablesByNumber = {}, classificationByNumber = {}, sourceByNumber = {}, ownerNumbersByNumber = {}, dryRun = false, mediaPath, targetQuery, ordering = {}, phoneNumbers } = {}) {
     console.clear();
-    let WhatsAppBotClient, AgentForIteration, message = AfternoonMessage;
-    let successes = 0, fails = 0;
-    const campaignStartDate = new Date();
-    let skipped = 0;
-    let numbers = await ShuffleMyArray(MNumbers);
+    // A dry run goes through the same loop with fake clients, an in-memory queue and a virtual
+    // clock, so it shows how long the campaign would take without sending anything.
+    const Runtime = dryRun ? createDryRunRuntime(await dryRunSenderNumbers()) : LiveRuntime;
+    const { Store, Pool, Clock } = Runtime;
+    // Without a template of its own the campaign greets for when its first message can go out,
+    // e.g. Ramadan Kareem, or good morning when it is started at night.
+    const Greeting = findGreeting(nextSendingTime(Clock.now(), InputOne));
+    let Sender, message = ScheduledCampaign?.messageTemplate || Greeting.Message;
+    const senders = await Pool.build();
+    console.log(`The ${dryRun ? "dry run" : "campaign"} has \u001b[42m${senders.length}\u001b[0m connected bots`, senders.map(sender => sender.number));
+    let campaign = resume && !dryRun ? await Store.findResumableCampaign(Project) : null;
+    let media, spintaxWarning;
+    if (campaign) {
+        console.log(`Resuming the campaign \u001b[44m${campaign.campaignName}\u001b[0m started on ${formatZoned(campaign.startDate)}`);
+        media = loadCampaignMedia(campaign.mediaPath);
+    } else {
+        // The seed is stored on the campaign, the same seed and numbers give the same order again.
+        const orderingStrategy = ordering.strategy || ScheduledCampaign?.orderingStrategy || "shuffle";
+        const orderingSeed = ordering.seed ?? ScheduledCampaign?.orderingSeed ?? createSeed();
+        let numbers = orderRecipients(MNumbers, orderingStrategy, orderingSeed, variablesByNumber);
+        console.log(`The owners are ordered by \u001b[44m${orderingStrategy}\u001b[0m with the seed ${orderingSeed}`);
+        const variants = ScheduledCampaign?.messageVariants?.length ? ScheduledCampaign.messageVariants : [message];
+        const translations = ScheduledCampaign?.messageTemplate ? ScheduledCampaign.messageTranslations : Greeting.Translations;
+        const Recipients = numbers.map(Number => {
+            const Variant = pickVariant(Project, Number, variants.length);
+            const Language = languageForRecipient(Number, variablesByNumber[Number]?.nationality);
+            return {
+                Number,
+                Variant,
+                Language,
+                Classification: classificationByNumber[Number],
+                Source: sourceByNumber[Number],
+                Message: renderVariedMessage(templateForLanguage(variants, translations, Variant, Language), `${Project.ProjectName}:${Number}`, { project: Project.ProjectName, ...variablesByNumber[Number] })
+            };
+        });
+        // Too few distinct texts for this many owners is a ban signal, see Inputs/MessageVariation.js.
+        spintaxWarning = spintaxUniqueness(variants, Recipients.length).warning;
+        spintaxWarning && console.log(`\u001b[41m${spintaxWarning}\u001b[0m`);
+        mediaPath = mediaPath || ScheduledCampaign?.mediaPath;
+        // Loaded before the queue is written, so a wrong path stops the campaign before it starts.
+        media = loadCampaignMedia(mediaPath);
+        campaign = await Store.createCampaignQueue(Project, Recipients, message, ScheduledCampaign, { variants, mediaPath, translations, targetQuery, orderingStrategy, orderingSeed, phoneNumbers });
+    }
+    // The queue is rendered with the greeting of the first send, a campaign carried over by the
+    // quotas or a holiday greets again for the day each message goes out, so Eid Mubarak is not
+    // sent after Eid.
+    const greets = isGreetingMessage(campaign.messageTemplate);
+    let successes = campaign.successCount, fails = campaign.failureCount;
+    const campaignStartDate = campaign.startDate;
+    // Owners left out by the frequency cap are counted apart from the other skips.
+    let capped = await Store.countCampaignMessages(campaign.id, "skipped", "frequency-cap");
+    let skipped = await Store.countCampaignMessages(campaign.id, "skipped") - capped;
+    const queue = await Store.getPendingCampaignMessages(campaign.id);
+    // The compact progress view and GET /progress read the campaign from here.
+    const Progress = trackCampaignProgress(campaign, Project, { successes, fails, skipped, capped }, { ...InputOne, Speed: InputOne.Speed * (campaign.sendingSpeed || 1) }, { Clock, dryRun });
 
     // console.log(numbers)
-    for (const [i, num] of numbers.entries()) {
-            AgentForIteration=i%InputOne.Agents;
-            WhatsAppBotClient = await SelectingBotForCampaign(i%InputOne.Agents)
-        let validatedContact = validateNumberWithCountryCode(num)
+    for (const [i, recipient] of queue.entries()) {
+        const control = await campaignCheckpoint(campaign, Store, Clock, Progress.sleeping)
+        if (control?.status === "cancelled") {
+            Progress.finish("cancelled")
+            console.log(`The campaign \u001b[44m${campaign.campaignName}\u001b[0m was cancelled with \u001b[34m${queue.length - i}\u001b[0m owners left`);
+            dryRun || await exportCampaignResults(campaign)
+            return {
+                successes,
+                fails,
+                cancelled: true
+            }
+        }
+        const Time = { ...InputOne, Speed: InputOne.Speed * (control?.sendingSpeed || 1) }
+        await waitForSendingWindow(Time, Clock, WorkingCalendar, Sleep => Progress.sleeping(Sleep, Time))
+        Sender = await SelectingBotForCampaign(i, Time, Runtime)
+        while (!Sender && Pool.connectedSenders().length > 0) {
+            const QuotaResetsAt = await earliestQuotaReset(Pool.connectedSenders(), Time, Clock.now(), Store)
+            console.log(`All bots are at their quota, the remaining \u001b[34m${queue.length - i}\u001b[0m owners are carried over to ${formatZoned(QuotaResetsAt)}, sleeping for ${convertMsToTime(QuotaResetsAt - Clock.now())}`);
+            Progress.sleeping({ reason: "quota", until: QuotaResetsAt }, Time)
+            await Clock.sleep(Math.max(0, QuotaResetsAt - Clock.now()))
+            await waitForSendingWindow(Time, Clock, WorkingCalendar, Sleep => Progress.sleeping(Sleep, Time))
+            Sender = await SelectingBotForCampaign(i, Time, Runtime)
+        }
+        if (!Sender) {
+            console.log(`No bot is connected, the campaign stops here and can be resumed with "Resume ${Project.ProjectName}"`);
+            Progress.finish("interrupted")
+            return {
+                successes,
+                fails,
+                interrupted: true
+            }
+        }
+        let validatedContact = validateNumberWithCountryCode(recipient.receiverPhone)
+        if (!validatedContact) {
+            console.log(recipient.receiverPhone, ' is not a usable phone number')
+            await Store.markCampaignMessageFailed(recipient, `${recipient.receiverPhone} is not a usable phone number`, "invalid-number")
+            fails++
+            Progress.failed()
+            continue
+        }
         try {
-            console.log(`Campaign started on \u001b[42m${campaignStartDate.toLocaleString()}\u001b[0m, And The time now is \u001b[31m${new Date().toLocaleString()}\u001b[0m o'clock`);
-            let diffDays = (campaignStartDate.getDate() - new Date().getDate()) / 3_600_000 + 1;
+            console.log(`Campaign started on \u001b[42m${formatZoned(campaignStartDate)}\u001b[0m, And The time now is \u001b[31m${formatZoned(Clock.now())}\u001b[0m o'clock`);
+            let diffDays = Math.floor((Clock.now() - campaignStartDate) / 86_400_000) + 1;
             console.log(`The campaign day is \u001b[32m${diffDays}\u001b[0m`);
-            console.log(`"The iterantion is ", ${i} and the remainder will be${i%InputOne.Agents}`)
-            const validatedChatResult = await findAndCheckChat(validatedContact, i, InputOne, WhatsAppBotClient)
+            console.log(`"The iterantion is ", ${i} and the bot will be ${Sender.number}`)
+            // The owner may have opted out after the queue was built.
+            if (await Store.isDoNotContact(recipient.receiverPhone)) {
+                console.log('skipping do-not-contact-----------------------', validatedContact);
+                await Store.markCampaignMessageSkipped(recipient, "do-not-contact")
+                Progress.skipped("do-not-contact")
+                skipped++
+                continue
+            }
+            // The cap counts every number of the owner, not only this one.
+            const OwnerNumbers = ownerNumbersByNumber[recipient.receiverPhone] || []
+            if (await isFrequencyCapped(recipient.receiverPhone, campaign, Clock.now(), Store, OwnerNumbers)) {
+                console.log('skipping frequency cap-------------------------', validatedContact);
+                await Store.markCampaignMessageSkipped(recipient, "frequency-cap")
+                Progress.skipped("frequency-cap")
+                capped++
+                continue
+            }
+            // With phoneNumbers "all" an owner is queued once per number of their row, the first
+            // number that gets the message is enough.
+            if (OwnerNumbers.length > 0 && await Store.countSentMessages(campaign.id, OwnerNumbers) > 0) {
+                console.log('skipping owner reached on another number----------', validatedContact);
+                await Store.markCampaignMessageSkipped(recipient, "owner-reached")
+                Progress.skipped("owner-reached")
+                skipped++
+                continue
+            }
+            const validatedChatResult = await findAndCheckChat(validatedContact, i, Time, Sender.client)
             if (newChatsOnly) {
-                if (validatedChatResult?.timestamp) {
-                    console.log('skipping-------------------------------------', validatedContact);
+                // An old chat no longer keeps the owner out, see CampaignSettings.ChatSkipPolicy.
+                const ChatSkipReason = await chatSkipReason(validatedChatResult, Clock.now())
+                if (ChatSkipReason) {
+                    console.log(`skipping ${ChatSkipReason}-------------------------------------`, validatedContact);
+                    await Store.markCampaignMessageSkipped(recipient, ChatSkipReason)
+                    Progress.skipped(ChatSkipReason)
                     skipped++
                     continue
                 }
             }
-            const SendReport = await WhatsAppBotClient.sendMessage(validatedContact, message)
-            successes++
-          CampaignResult(SendReport, Project, successes, skipped, fails, numbers, i);
+            if (greets) {
+                const Today = findGreeting(Clock.now())
+                if (Today.Message !== campaign.messageTemplate) {
+                    recipient.messageContent = renderVariedMessage(templateForLanguage([Today.Message], Today.Translations, 0, recipient.language), `${Project.ProjectName}:${recipient.receiverPhone}`, { project: Project.ProjectName, ...variablesByNumber[recipient.receiverPhone] })
+                }
+            }
+            // A retriable failure is sent again through another bot, see CampaignSettings.SendRetry.
+            const Send = await sendWithRetry(Sender, client => sendCampaignMessage(client, validatedContact, recipient.messageContent, media), {
+                Iteration: i, Time, Runtime, onSleep: Sleep => Progress.sleeping(Sleep, Time)
+            })
+            if (Send.Failure) {
+                console.log(recipient.receiverPhone, ` failed as ${Send.Failure.Class} after ${Send.attempts} attempts`)
+                await Store.markCampaignMessageFailed(recipient, Send.Failure.message, Send.Failure.Class, Send.attempts, Send.Sender.number)
+                fails++
+                Progress.failed(Send.Sender.number)
+            } else {
+                await Store.markCampaignMessageSent(recipient, Send.SendReport, Send.Sender.number, Send.attempts)
+                successes++
+                Progress.sent(Send.Sender.number)
+                CampaignResult(Send.SendReport, Project, successes, skipped, fails, campaign.totalRecipients, i, capped);
+            }
         } catch (error) {
             console.log(error)
-            console.log(num, ' failed')
+            console.log(recipient.receiverPhone, ' failed')
+            await Store.markCampaignMessageFailed(recipient, error, classifySendFailure(error).Class)
             fails++
+            Progress.failed(Sender.number)
         }
-        await SleepTimeOfficialHoursWithRandomDelay(InputOne)
+        await SleepTimeOfficialHoursWithRandomDelay(Time, Clock, WorkingCalendar, Sleep => Progress.sleeping(Sleep, Time))
     }
+    await Store.finishCampaign(campaign)
+    Progress.finish()
+    dryRun || await exportCampaignResults(campaign)
     console.log(successes, ' succeeded')
     console.log(fails, ' failed')
+    console.log(skipped, ' skipped')
+    console.log(capped, ' skipped by the frequency cap')
+    if (dryRun) {
+        return {
+            successes,
+            fails,
+            skipped,
+            capped,
+            spintaxWarning,
+            timeline: Runtime.Timeline,
+            summary: summarizeDryRun(Runtime.Timeline, campaignStartDate)
+        }
+    }
     return {
         successes,
-        fails
+        fails,
+        skipped,
+        capped
     }
-}
\ No newline at end of file
+}
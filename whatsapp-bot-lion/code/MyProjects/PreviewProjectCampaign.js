@@ -0,0 +1,28 @@
+import { getSheet } from "../GoogleSheet/getSheet.js";
+import { templateVariablesFromRow } from "../Message/MessageTemplate.js";
+import { renderVariedMessage, spintaxUniqueness } from "../Message/Spintax.js";
+import { getNumbersArrayFromRows } from "../GoogleSheet/getNumberFromSheet.js";
+import { CampaignSettings } from "../../Inputs/CampaignSettings.js";
+
+// The first owners the campaign would message, with the spintax keyed by their number like
+// the campaign does, so each owner gets the text their preview shows.
+export async function PreviewProjectCampaign(Project, template, count = 5) {
+    let Messages = [];
+    try {
+        const data = await getSheet(Project);
+        const Rows = data.data.values;
+        const Headings = Rows[0] || [];
+        const { RowByNumber } = await getNumbersArrayFromRows(Rows, { phoneNumbers: CampaignSettings.PhoneNumbers });
+        Messages = Object.entries(RowByNumber)
+            .sort(([, a], [, b]) => a - b)
+            .slice(0, count)
+            .map(([Number, RowIndex]) =>
+                renderVariedMessage(template, `${Project.ProjectName}:${Number}`, templateVariablesFromRow(Headings, Rows[RowIndex], Project)));
+        console.log(`The preview of ${Project.ProjectName} for the first ${Messages.length} owners`, Messages);
+        const { warning } = spintaxUniqueness([template], Object.keys(RowByNumber).length);
+        warning && Messages.push(warning);
+    } catch (error) {
+        console.log(error);
+    }
+    return Messages;
+}
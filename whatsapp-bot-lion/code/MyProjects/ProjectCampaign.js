@@ -1,17 +1,26 @@
 import { getSheet } from "../GoogleSheet/getSheet.js";
 import { FindBastardsInContacts } from "../Contacts/FindBastardsInContacts.js";
 import { FindPropertiesInGoogleSheet } from "../GoogleSheet/FindPropertiesInGoogleSheet.js";
-import { getNumbersArrayFromRows } from "../GoogleSheet/getNumberFromSheet.js";
+import { getNumbersArrayFromRows, formatNumberSource } from "../GoogleSheet/getNumberFromSheet.js";
 import { sendBroadcast } from "../Message/sendBroadCast.js";
+import { buildTemplateVariables } from "../Message/MessageTemplate.js";
+import { addOwnerNationalities } from "../Message/MessageLanguage.js";
+import { trackCampaignLoop, untrackCampaignLoop } from "../Campaign/CampaignControl.js";
+import { doNotContactNumbers } from "../Contacts/DoNotContact.js";
+import { resolveAudience } from "../Campaign/AudienceQuery.js";
+import { CampaignSettings } from "../../Inputs/CampaignSettings.js";
 
 
-export async function ProjectCampaign(Project) {
+// previewAudience only counts the owners targetQuery selects and returns { Audience }.
+// phoneNumbers picks the primary, secondary or all numbers of each sheet row.
+export async function ProjectCampaign(Project, { resume = false, campaign, dryRun = false, mediaPath, targetQuery = campaign?.targetQuery, previewAudience = false, ordering, phoneNumbers = campaign?.phoneNumbers || CampaignSettings.PhoneNumbers } = {}) {
       console.log("in campaign of the project", Project);
   let ProjectCampaignResult;
     let ArrayNumbers = {},
     Numbers, PropertiesUsedInGoogleSheet;
   try {
     if (Project) {
+      dryRun || previewAudience || trackCampaignLoop(Project);
 
       const data = await getSheet(Project);
       console.log("Project sheet has Length", data.data.values.length);
@@ -21,7 +30,7 @@ export async function ProjectCampaign(Project) {
       console.log("The object has returned the numbers for bastards owners", ListOfBastardsSheet)
    //We try to find the properties used in the Google Sheet
       // PropertiesUsedInGoogleSheet = await FindPropertiesInGoogleSheet(data.data.values);
-      const ArrayNumbers = await getNumbersArrayFromRows(data.data.values);
+      const ArrayNumbers = await getNumbersArrayFromRows(data.data.values, { phoneNumbers });
 
       // console.log("The object has returned the row headings", PropertiesUsedInGoogleSheet)
 
@@ -52,15 +61,49 @@ export async function ProjectCampaign(Project) {
       // let result= {
       //   successes:[1,2,3,4,5,6]
       // }
+      // Owners who replied STOP are left out like the List-Of-Bastards sheet.
+      // A dry run has to work without a database too, it then leaves no one out.
+      const DoNotContact = await doNotContactNumbers().catch(error => {
+        if (!dryRun) {
+          throw error;
+        }
+        console.log("The dry run could not read the do-not-contact numbers", error.message);
+        return new Set();
+      });
       const FinalNumbersForCampaign = Numbers.filter(function (item) {
-        return !ListOfBastardsSheet.includes(item);
+        return !ListOfBastardsSheet.includes(item) && !DoNotContact.has(String(item).replace(/\D/g, ""));
       })
       console.log("The object has returned the numbers with bastards", Numbers.length)
       console.log("The object has returned the numbers without bastards", FinalNumbersForCampaign.length)
       console.log("The object has returned the numbers without bastards", FinalNumbersForCampaign)
 
 
-      ProjectCampaignResult = await sendBroadcast(FinalNumbersForCampaign, Project);
+      const variablesByNumber = buildTemplateVariables(data.data.values, ArrayNumbers.RowByNumber, Project);
+      // The language of each owner is picked from their nationality when it is known.
+      await addOwnerNationalities(variablesByNumber, FinalNumbersForCampaign).catch(error => {
+        if (!dryRun) {
+          throw error;
+        }
+        console.log("The dry run could not read the nationalities of the owners", error.message);
+      });
+
+      // A resumed campaign already has its queue, the audience only matters for a new one.
+      const Audience = resume
+        ? { Numbers: FinalNumbersForCampaign }
+        : await resolveAudience(Project, FinalNumbersForCampaign, variablesByNumber, targetQuery);
+      if (previewAudience) {
+        return { Audience };
+      }
+
+      // Kept on every CampaignMessage for the exported results.
+      let classificationByNumber = {};
+      ArrayNumbers.CorrectNumbers.forEach(Number => (classificationByNumber[Number] = "correct"));
+      ArrayNumbers.updatedUAENumbers.forEach(Number => (classificationByNumber[Number] ??= "uae-corrected"));
+      // The sheet column and row of every number, for the agents reading the results.
+      let sourceByNumber = {};
+      Object.entries(ArrayNumbers.SourceByNumber).forEach(([Number, Source]) => (sourceByNumber[Number] = formatNumberSource(Source)));
+
+      ProjectCampaignResult = await sendBroadcast(Audience.Numbers, Project, true, { resume, campaign, variablesByNumber, classificationByNumber, sourceByNumber, ownerNumbersByNumber: ArrayNumbers.OwnerNumbersByNumber, dryRun, mediaPath, targetQuery, ordering, phoneNumbers });
 
 console.log(`Project ${Project.ProjectName}, 
     Total Numbers in this project ${data.data.values.length},
@@ -77,5 +120,7 @@ console.log(`Project ${Project.ProjectName},
   } catch (error) {
     console.log(error);
 
+  } finally {
+    dryRun || previewAudience || untrackCampaignLoop(Project);
   }
 }
\ No newline at end of file
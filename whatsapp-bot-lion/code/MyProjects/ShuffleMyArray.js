@@ -1,7 +1,10 @@
-export async function ShuffleMyArray(MNumbers) {
+import { createSeed, shuffleWithSeed } from "../Campaign/RecipientOrder.js";
+
+// Kept for older callers, campaigns order their owners with orderRecipients.
+export async function ShuffleMyArray(MNumbers, seed = createSeed()) {
     let numbers;
     try {
-        numbers=await MNumbers.sort(() => Math.random() - 0.5);
+        numbers = shuffleWithSeed(MNumbers, seed);
         return numbers
     } catch (error) {
         console.log(error)
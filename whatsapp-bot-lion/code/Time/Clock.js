@@ -0,0 +1,18 @@
+import { sleepTime } from "./sleepTime.js";
+
+// The campaign loop reads the time and sleeps through a clock, so a dry run can replace real
+// waiting with a virtual clock that jumps forward instantly.
+export const RealClock = {
+    now: () => new Date(),
+    sleep: ms => sleepTime(ms)
+};
+
+export function createVirtualClock(startDate = new Date()) {
+    let current = new Date(startDate).getTime();
+    return {
+        now: () => new Date(current),
+        sleep: async ms => {
+            current += Math.max(0, ms);
+        }
+    };
+}
@@ -1,22 +1,27 @@
 
-import { convertMsToTime,  toMilliseconds} from "./convertTime.js"
-export const SleepTimeOfficialHoursWithRandomDelay = (Time) => new Promise((resolve, reject) => { 
+import { convertMsToTime } from "./convertTime.js"
+import { RealClock } from "./Clock.js";
+import { sendingWindow, formatZoned } from "./WorkingHours.js";
+import { WorkingCalendar } from "../../Inputs/WorkingCalendar.js";
+// onSleep hears why and until when the loop sleeps before the sleep starts.
+export const SleepTimeOfficialHoursWithRandomDelay = async (Time, Clock = RealClock, Calendar = WorkingCalendar, onSleep = () => {}) => {
             // console.log("Total details for timing",Time);
 
     let delay = Math.floor((Math.random() * (Time.MinimumTimeGap)) + (Time.MinimumTimeGap));
-    let nightDelay;
-    let shiftEnd=Time.ShiftEnd;
-    let shiftStart=Time.ShiftStart
-    const hours = new Date().getHours();
-    shiftStart>hours ?  nightDelay= (shiftStart-hours) : nightDelay= (24-(hours-shiftStart))
-    const isNightTime = hours > shiftEnd || hours < shiftStart;
-    if (isNightTime === true) {
-        setTimeout(resolve, toMilliseconds(nightDelay, 1, 1))
-        console.log("As it is night time, i will sleep, and tomorrow i will this messages to remaining clients", nightDelay);
+    // The shift, holidays and quiet windows are read in the calendar's timezone, not the server's.
+    const window = sendingWindow(Clock.now(), Time, Calendar);
+    if (!window.open) {
+        const closedDelay = window.opensAt - Clock.now();
+        console.log(`As it is ${window.name || window.reason} in ${Calendar.TimeZone}, i will sleep until ${formatZoned(window.opensAt, Calendar)} and then send this messages to remaining clients`);
+        onSleep({ reason: window.reason, name: window.name, until: window.opensAt })
+        await Clock.sleep(closedDelay)
+        return { reason: window.reason, name: window.name, delay: closedDelay }
     }
     else{
-    console.log(`"As it is day time, i will send a message to this client in few seconds. The time now is \u001b[31m${new Date().toLocaleTimeString()}\u001b[0m o'clock"`);
+    console.log(`"As it is day time, i will send a message to this client in few seconds. The time now is \u001b[31m${formatZoned(Clock.now(), Calendar)}\u001b[0m o'clock"`);
     console.log(`There will be still a little delay of \u001b[32m${convertMsToTime(delay/Time.Speed)}\u001b[0m  to keep the Bot Alive and breathing!!!`);
-    setTimeout(resolve, delay/Time.Speed);
+    onSleep({ reason: "day", until: new Date(Clock.now().getTime() + delay/Time.Speed) })
+    await Clock.sleep(delay/Time.Speed);
+    return { reason: "day", delay: delay/Time.Speed }
     }
-})
+}
@@ -0,0 +1,142 @@
+import { WorkingCalendar } from "../../Inputs/WorkingCalendar.js";
+import { RealClock } from "./Clock.js";
+
+const Formatters = {};
+const pad = value => String(value).padStart(2, "0");
+
+// The wall clock in timeZone at this instant: year, month, day, hour, minute, second, weekday.
+function zonedParts(date, timeZone) {
+    Formatters[timeZone] ??= new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        weekday: "long",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric"
+    });
+    let parts = {};
+    for (const { type, value } of Formatters[timeZone].formatToParts(date)) {
+        parts[type] = type === "weekday" ? value : parseInt(value);
+    }
+    return parts;
+}
+
+// The instant at which the clocks in timeZone show this wall time. The second pass settles
+// wall times next to a daylight saving change.
+export function zonedTime({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+    const wallTime = Date.UTC(year, month - 1, day, hour, minute);
+    let guess = wallTime;
+    for (let pass = 0; pass < 2; pass++) {
+        const local = zonedParts(new Date(guess), timeZone);
+        guess += wallTime - Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+    }
+    return new Date(guess);
+}
+
+function addDays({ year, month, day }, days) {
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+// "2026-12-02" or "2026-12-02T09:30" as a wall time.
+function parseLocal(text) {
+    const [year, month, day, hour = 0, minute = 0] = text.split(/[-T:]/).map(value => parseInt(value));
+    return { year, month, day, hour, minute };
+}
+
+function parseClock(text) {
+    const [hour, minute = 0] = text.split(":").map(value => parseInt(value));
+    return { hour, minute };
+}
+
+export const dateKey = (date, Calendar = WorkingCalendar) => {
+    const local = zonedParts(date, Calendar.TimeZone);
+    return `${local.year}-${pad(local.month)}-${pad(local.day)}`;
+};
+
+export const zonedHour = (date, Calendar = WorkingCalendar) => zonedParts(date, Calendar.TimeZone).hour;
+
+export const zonedWallTime = (date, Calendar = WorkingCalendar) => zonedParts(date, Calendar.TimeZone);
+
+export const formatZoned = (date, Calendar = WorkingCalendar) => date.toLocaleString(undefined, { timeZone: Calendar.TimeZone });
+
+// Midnight in the calendar's timezone, days after the day of this instant.
+export function startOfZonedDay(date, days = 0, Calendar = WorkingCalendar) {
+    return zonedTime(addDays(zonedParts(date, Calendar.TimeZone), days), Calendar.TimeZone);
+}
+
+export function startOfZonedHour(date, Calendar = WorkingCalendar) {
+    const local = zonedParts(date, Calendar.TimeZone);
+    return zonedTime({ ...local, minute: 0 }, Calendar.TimeZone);
+}
+
+// Why nothing may be sent at this instant and when that reason is over, or undefined when
+// sending is allowed. The shift keeps its old meaning: ShiftEnd 18 still sends until 18:59.
+function closedReason(now, Time, Calendar) {
+    const timeZone = Calendar.TimeZone;
+    const local = zonedParts(now, timeZone);
+    const today = `${local.year}-${pad(local.month)}-${pad(local.day)}`;
+    const clock = `${pad(local.hour)}:${pad(local.minute)}`;
+
+    if (Calendar.NonSendingWeekdays.includes(local.weekday)) {
+        return { reason: "weekend", name: local.weekday, until: zonedTime(addDays(local, 1), timeZone) };
+    }
+    const holiday = Calendar.Holidays.find(Holiday => Holiday.From <= today && today <= Holiday.To);
+    if (holiday) {
+        return { reason: "holiday", name: holiday.Name, until: zonedTime(addDays(parseLocal(holiday.To), 1), timeZone) };
+    }
+    const period = Calendar.QuietPeriods.find(Period =>
+        zonedTime(parseLocal(Period.From), timeZone) <= now && now < zonedTime(parseLocal(Period.To), timeZone));
+    if (period) {
+        return { reason: "quiet", name: period.Name, until: zonedTime(parseLocal(period.To), timeZone) };
+    }
+    const window = Calendar.WeeklyQuietWindows.find(Window =>
+        Window.Weekday === local.weekday && Window.From <= clock && clock < Window.To);
+    if (window) {
+        return { reason: "quiet", name: window.Name, until: zonedTime({ ...local, ...parseClock(window.To) }, timeZone) };
+    }
+    if (local.hour < Time.ShiftStart) {
+        return { reason: "night", until: zonedTime({ ...local, hour: Time.ShiftStart, minute: 0 }, timeZone) };
+    }
+    if (local.hour > Time.ShiftEnd) {
+        return { reason: "night", until: zonedTime({ ...addDays(local, 1), hour: Time.ShiftStart, minute: 0 }, timeZone) };
+    }
+}
+
+// { open: true } during working hours, otherwise the first reason it is closed and the moment
+// sending is allowed again. A holiday can end at midnight or on a Friday, so the reasons are
+// followed one after another until none is left.
+export function sendingWindow(now, Time, Calendar = WorkingCalendar) {
+    const closed = closedReason(now, Time, Calendar);
+    if (!closed) {
+        return { open: true };
+    }
+    let opensAt = closed.until;
+    for (let step = 0; step < 1000; step++) {
+        const next = closedReason(opensAt, Time, Calendar);
+        if (!next) {
+            break;
+        }
+        opensAt = next.until;
+    }
+    return { open: false, reason: closed.reason, name: closed.name, opensAt };
+}
+
+export function nextSendingTime(now, Time, Calendar = WorkingCalendar) {
+    return sendingWindow(now, Time, Calendar).opensAt || now;
+}
+
+// Sending loops call this before every message so that nothing goes out at night, on a
+// holiday or during a quiet window, however the loop got there.
+export async function waitForSendingWindow(Time, Clock = RealClock, Calendar = WorkingCalendar, onSleep = () => {}) {
+    const window = sendingWindow(Clock.now(), Time, Calendar);
+    if (!window.open) {
+        onSleep({ reason: window.reason, name: window.name, until: window.opensAt });
+        console.log(`No messages during \u001b[44m${window.name || window.reason}\u001b[0m in ${Calendar.TimeZone}, sleeping until \u001b[42m${formatZoned(window.opensAt, Calendar)}\u001b[0m`);
+        await Clock.sleep(window.opensAt - Clock.now());
+    }
+    return window;
+}
@@ -0,0 +1,71 @@
+import { WorkingCalendar } from "../../Inputs/WorkingCalendar.js";
+import { zonedTime, zonedWallTime, formatZoned } from "./WorkingHours.js";
+
+const WeekDays = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const WeekOfMonth = ["first", "second", "third", "fourth"];
+
+// Months are 1 to 12 like the wall times of WorkingHours.
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+const weekDayOf = (year, month, day) => new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+function nthWeekDayOfMonth(year, month, nth, weekDay) {
+    if (nth === "last") {
+        const last = daysInMonth(year, month);
+        return last - ((weekDayOf(year, month, last) - weekDay + 7) % 7);
+    }
+    return 1 + ((weekDay - weekDayOf(year, month, 1) + 7) % 7) + 7 * WeekOfMonth.indexOf(nth);
+}
+
+// Finds the start of the next occurrence of a recurring campaign after the given date,
+// keeping the time of day of the previous one in WorkingCalendar.TimeZone. Supported rules:
+// "daily", "weekly:monday", "monthly:first:monday" (first..fourth or last) and "monthly:15",
+// which falls on the last day of a shorter month. Any other rule throws, and so does a rule
+// that would not move past the given date.
+export function nextOccurrence(recurrence, after, Calendar = WorkingCalendar) {
+    const unsupported = () => new Error(`The recurrence ${recurrence} is not supported`);
+    const [period, first, second, ...rest] = String(recurrence).toLowerCase().split(":");
+    const local = zonedWallTime(after, Calendar);
+    let { year, month, day } = local;
+    if (rest.length > 0) {
+        throw unsupported();
+    }
+    switch (period) {
+        case "daily":
+            if (first !== undefined) {
+                throw unsupported();
+            }
+            day += 1;
+            break;
+        case "weekly": {
+            const weekDay = WeekDays.indexOf(first);
+            if (weekDay < 0 || second !== undefined) {
+                throw unsupported();
+            }
+            day += ((weekDay - weekDayOf(year, month, day) + 6) % 7) + 1;
+            break;
+        }
+        case "monthly":
+            [year, month] = month === 12 ? [year + 1, 1] : [year, month + 1];
+            if (second !== undefined) {
+                const weekDay = WeekDays.indexOf(second);
+                if (weekDay < 0 || !(WeekOfMonth.includes(first) || first === "last")) {
+                    throw unsupported();
+                }
+                day = nthWeekDayOfMonth(year, month, first, weekDay);
+            } else {
+                const dayOfMonth = /^\d+$/.test(first || "") ? parseInt(first) : NaN;
+                if (!(dayOfMonth >= 1 && dayOfMonth <= 31)) {
+                    throw unsupported();
+                }
+                day = Math.min(dayOfMonth, daysInMonth(year, month));
+            }
+            break;
+        default:
+            throw unsupported();
+    }
+    const next = zonedTime({ year, month, day, hour: local.hour, minute: local.minute }, Calendar.TimeZone);
+    if (isNaN(next) || next <= after) {
+        throw new Error(`The recurrence ${recurrence} gives no date after ${formatZoned(after, Calendar)}`);
+    }
+    return next;
+}
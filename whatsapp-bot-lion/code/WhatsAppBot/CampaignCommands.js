@@ -0,0 +1,95 @@
+import { MyProjects } from "../MyProjects/MyProjects.js";
+import { ProjectCampaign } from "../MyProjects/ProjectCampaign.js";
+import {
+  isCampaignAdmin,
+  isCampaignLoopActive,
+  listActiveCampaigns,
+  formatActiveCampaigns,
+  pauseCampaign,
+  resumeCampaign,
+  cancelCampaign,
+  setCampaignSpeed
+} from "../Campaign/CampaignControl.js";
+import { campaignProgress, formatCampaignProgress } from "../Campaign/CampaignProgress.js";
+
+const findProject = name => MyProjects.find((x) => x.ProjectName === name);
+
+const CampaignCommandUsage = `Campaign commands: "Campaigns", "Progress", "Pause <project>", "Resume <project>", "Cancel <project>" and "Speed <project> <speed>"`;
+
+// "Campaigns", "Progress", "Pause Zinnia", "Resume Zinnia", "Cancel Zinnia" and "Speed Zinnia 2".
+export function parseCampaignCommand(body) {
+  if (body === "Campaigns") {
+    return { Action: "List" };
+  }
+  if (body === "Progress") {
+    return { Action: "Progress" };
+  }
+  const Command = body.match(/^(Pause|Resume|Cancel) (.+)$/);
+  if (Command && findProject(Command[2])) {
+    return { Action: Command[1], Project: findProject(Command[2]) };
+  }
+  const SpeedCommand = body.match(/^Speed (.+) (\d+(?:\.\d+)?)$/);
+  if (SpeedCommand && findProject(SpeedCommand[1])) {
+    return { Action: "Speed", Project: findProject(SpeedCommand[1]), Speed: parseFloat(SpeedCommand[2]) };
+  }
+}
+
+// Campaign commands and reports with owner data are only answered for campaign admins.
+export async function isAdminMessage(msg) {
+  if (await isCampaignAdmin(msg.from)) {
+    return true;
+  }
+  console.log(`${msg.from} is not a campaign admin, the command "${msg.body}" is ignored`);
+  return false;
+}
+
+export async function runCampaignCommand(msg, Command) {
+  if (!(await isAdminMessage(msg))) {
+    return;
+  }
+  const { Project } = Command;
+  try {
+    switch (Command.Action) {
+      case "List":
+        msg.reply(formatActiveCampaigns(await listActiveCampaigns()));
+        break;
+      case "Progress":
+        msg.reply(formatCampaignProgress(campaignProgress()));
+        break;
+      case "Pause":
+        await pauseCampaign(Project);
+        msg.reply(`The campaign of ${Project.ProjectName} is paused, "Resume ${Project.ProjectName}" continues it`);
+        break;
+      case "Cancel": {
+        const cancelled = await cancelCampaign(Project);
+        msg.reply(`The campaign ${cancelled.campaignName} of ${Project.ProjectName} is cancelled`);
+        break;
+      }
+      case "Speed":
+        await setCampaignSpeed(Project, Command.Speed);
+        msg.reply(`The campaign of ${Project.ProjectName} now runs at speed x${Command.Speed}`);
+        break;
+      case "Resume": {
+        await resumeCampaign(Project);
+        if (isCampaignLoopActive(Project)) {
+          msg.reply(`The campaign of ${Project.ProjectName} is running again`);
+          break;
+        }
+        // Nothing is sending for this project in this process, e.g. after a restart, so the
+        // pending recipients are picked up by a new loop. This is the way back in for a campaign
+        // that was running or paused when the bot stopped.
+        msg.reply(`The campaign of ${Project.ProjectName} is resuming from its pending owners`);
+        const result = await ProjectCampaign(Project, { resume: true });
+        result
+          ? console.log(`Project ${Project.ProjectName} has resumed and finished with ${result.successes} messages`)
+          : console.log(`Project ${Project.ProjectName} has no result from resumed campaign!`);
+        break;
+      }
+      default:
+        msg.reply(CampaignCommandUsage);
+    }
+  } catch (error) {
+    console.log(error);
+    msg.reply(error.message);
+  }
+}
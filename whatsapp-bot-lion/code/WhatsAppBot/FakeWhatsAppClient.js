@@ -0,0 +1,30 @@
+// Stands in for a whatsapp-web.js Client in dry runs: it never opens a browser, every owner
+// looks like a new chat and sendMessage only returns a report shaped like the real one.
+export class FakeWhatsAppClient {
+  constructor(number, Clock) {
+    this.number = number;
+    this.Clock = Clock;
+    this.sentMessages = 0;
+    this.info = { wid: { user: number, _serialized: `${number}@c.us` } };
+  }
+
+  async getState() {
+    return "CONNECTED";
+  }
+
+  async getChatById(chatId) {
+    return undefined;
+  }
+
+  async sendMessage(chatId, content, options = {}) {
+    this.sentMessages++;
+    return {
+      id: { _serialized: `dryrun_${this.number}_${this.sentMessages}` },
+      from: this.info.wid._serialized,
+      to: chatId,
+      body: options.caption ?? content,
+      hasMedia: typeof content !== "string",
+      timestamp: Math.floor(this.Clock.now().getTime() / 1000)
+    };
+  }
+}
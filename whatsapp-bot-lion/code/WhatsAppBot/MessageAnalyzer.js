@@ -1,3 +1,4 @@
+import pkg from "whatsapp-web.js";
 import { MyProjects } from "../MyProjects/MyProjects.js";
 import { FindAndShareOwnerNumberOnAgentRequest } from "../Search/FindAndShareOwnerNumberOnAgentRequest.js";
 import { ReplyTheContacts } from "../Search/ReplyTheContacts.js";
@@ -7,6 +8,16 @@ import {
   ClientAnswersArray,
 } from "../Message/questionsInConversation.js";
 import { ProjectCampaign } from "../MyProjects/ProjectCampaign.js";
+import { PreviewProjectCampaign } from "../MyProjects/PreviewProjectCampaign.js";
+import { findGreetingMessage } from "../Message/messages.js";
+import { findLatestCampaign } from "../Campaign/CampaignQueue.js";
+import { variantReport, formatVariantReport } from "../Campaign/MessageVariants.js";
+import { formatDryRunSummary } from "../Campaign/DryRunCampaign.js";
+import { campaignFunnel, formatCampaignFunnel } from "../Campaign/MessageReceipts.js";
+import { listCampaignReplies, formatCampaignReplies } from "../Campaign/CampaignReplies.js";
+import { exportCampaignResults } from "../Campaign/CampaignExport.js";
+import { parseAudienceQuery, formatAudiencePreview } from "../Campaign/AudienceQuery.js";
+import { parseCampaignCommand, runCampaignCommand, isAdminMessage } from "./CampaignCommands.js";
 import { findWord } from "../Search/findWord.js";
 // import { SendSecretMessage } from "../Message/SendSecretMessage.js";
 
@@ -17,6 +28,7 @@ import { SharingMobileNumber } from "../Replies/SharingMobileNumber.js";
 // import { ChatAnalyzer } from "./Chat/ChatAnalyzer.js";
 // import { CreatingNewWhatsAppClientForAgent } from "./SessionManager/CreatingNewWhatsAppClientForAgent.js";
 // import { NewWhatsAppClientFunctions } from "./SessionManager/NewWhatsAppClientFunctions.js";
+const { MessageMedia } = pkg;
 
 export async function MessageAnalyzer(msg) {
   let Lucy;
@@ -25,6 +37,9 @@ export async function MessageAnalyzer(msg) {
     if (msg.type === 'chat') {
       // ChatAnalyzer(msg);
       console.log("message msg.from", msg.from);
+      const PreviewRequest = msg.body.match(/^Preview (.+?)(?: (\d+))?$/);
+      const CampaignCommand = parseCampaignCommand(msg.body);
+      const AudienceRequest = msg.body.match(/^(Audience|Launch) (.+?):(.*)$/s);
       // console.log("message msg.type", msg.type);
       if (msg.body === "Kindly share the mobile number of the owner") {
         console.log("The agent has requested the number of one owner");
@@ -65,6 +80,103 @@ export async function MessageAnalyzer(msg) {
         // Time.Speed = findSpeedForMission(msg.body);
 
       }
+      else if (CampaignCommand) {
+        // Admin-only: list, pause, resume, cancel and change the speed of campaigns.
+        await runCampaignCommand(msg, CampaignCommand);
+      }
+      else if (PreviewRequest && MyProjects.find((x) => x.ProjectName === PreviewRequest[1])) {
+        // Replying "Preview Zinnia 3" to a message previews that message as the template.
+        const [, ProjectName, count] = PreviewRequest;
+        let Project = MyProjects.find((x) => x.ProjectName === ProjectName);
+        const template = msg.hasQuotedMsg ? (await msg.getQuotedMessage()).body : await findGreetingMessage();
+        const Messages = await PreviewProjectCampaign(Project, template, count ? parseInt(count) : 5);
+        for (const Message of Messages) {
+          await msg.reply(Message);
+        }
+      }
+      else if (msg.body.startsWith("Dry run ") && MyProjects.find((x) => x.ProjectName === msg.body.slice(8))) {
+        if (!(await isAdminMessage(msg))) {
+          return;
+        }
+        let Project = MyProjects.find((x) => x.ProjectName === msg.body.slice(8));
+        const result = await ProjectCampaign(Project, { dryRun: true });
+        result?.summary
+          ? msg.reply(formatDryRunSummary(Project, result.summary))
+          : msg.reply(`The dry run of ${Project.ProjectName} has no result`);
+        result?.spintaxWarning && msg.reply(result.spintaxWarning);
+      }
+      else if (msg.body.startsWith("Variant report ") && MyProjects.find((x) => x.ProjectName === msg.body.slice(15))) {
+        if (!(await isAdminMessage(msg))) {
+          return;
+        }
+        let Project = MyProjects.find((x) => x.ProjectName === msg.body.slice(15));
+        const campaign = await findLatestCampaign(Project);
+        campaign
+          ? msg.reply(formatVariantReport(campaign, await variantReport(campaign.id)))
+          : msg.reply(`There is no campaign for ${Project.ProjectName} yet`);
+      }
+      else if (msg.body.startsWith("Campaign report ") && MyProjects.find((x) => x.ProjectName === msg.body.slice(16))) {
+        if (!(await isAdminMessage(msg))) {
+          return;
+        }
+        let Project = MyProjects.find((x) => x.ProjectName === msg.body.slice(16));
+        const campaign = await findLatestCampaign(Project);
+        campaign
+          ? msg.reply(formatCampaignFunnel(campaign, await campaignFunnel(campaign.id)))
+          : msg.reply(`There is no campaign for ${Project.ProjectName} yet`);
+      }
+      else if (msg.body.startsWith("Replies ") && MyProjects.find((x) => x.ProjectName === msg.body.slice(8))) {
+        if (!(await isAdminMessage(msg))) {
+          return;
+        }
+        let Project = MyProjects.find((x) => x.ProjectName === msg.body.slice(8));
+        const campaign = await findLatestCampaign(Project);
+        campaign
+          ? msg.reply(formatCampaignReplies(campaign, await listCampaignReplies(campaign.id)))
+          : msg.reply(`There is no campaign for ${Project.ProjectName} yet`);
+      }
+      else if (msg.body.startsWith("Export ") && MyProjects.find((x) => x.ProjectName === msg.body.slice(7))) {
+        if (!(await isAdminMessage(msg))) {
+          return;
+        }
+        let Project = MyProjects.find((x) => x.ProjectName === msg.body.slice(7));
+        const campaign = await findLatestCampaign(Project);
+        const Report = campaign && await exportCampaignResults(campaign);
+        Report
+          ? msg.reply(MessageMedia.fromFilePath(Report.xlsxPath))
+          : msg.reply(`There are no campaign results for ${Project.ProjectName} yet`);
+      }
+      else if (AudienceRequest && MyProjects.find((x) => x.ProjectName === AudienceRequest[2])) {
+        // "Audience Zinnia: bedrooms>=4 and repliedBefore=no" counts the owners it selects,
+        // "Launch Zinnia: bedrooms>=4 and repliedBefore=no" starts the campaign for them.
+        if (!(await isAdminMessage(msg))) {
+          return;
+        }
+        const [, Command, ProjectName, query] = AudienceRequest;
+        const Preview = Command === "Audience";
+        const targetQuery = query.trim();
+        let Project = MyProjects.find((x) => x.ProjectName === ProjectName);
+        // A campaign for every owner is started with the project name alone, never by a blank filter.
+        if (!targetQuery) {
+          msg.reply(`"${Command} ${ProjectName}:" needs a filter, e.g. ${Command} ${ProjectName}: bedrooms>=3 and lastContacted>30d`);
+          return;
+        }
+        try {
+          parseAudienceQuery(targetQuery);
+        } catch (error) {
+          msg.reply(error.message);
+          return;
+        }
+        if (Preview) {
+          const result = await ProjectCampaign(Project, { targetQuery, previewAudience: true });
+          result?.Audience
+            ? msg.reply(formatAudiencePreview(Project, targetQuery, result.Audience))
+            : msg.reply(`The audience of ${Project.ProjectName} could not be counted`);
+        } else {
+          const result = await ProjectCampaign(Project, { targetQuery });
+          result || console.log(`Project ${Project.ProjectName} has no result from campaign!`);
+        }
+      }
       else if (MyProjects.find((x) => x.ProjectName === msg.body)) {
         let Project = MyProjects.find((x) => x.ProjectName === msg.body);
         const sentence = "How much wood could a wood chip chop";
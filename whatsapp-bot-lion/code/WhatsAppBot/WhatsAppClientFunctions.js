@@ -1,7 +1,11 @@
 import qrcode from "qrcode-terminal";
 import { MessageAnalyzer } from "./MessageAnalyzer.js";
+import singularSenderPool from "./WhatsAppSenderPool.js";
+import { recordCampaignReply } from "../Campaign/CampaignReplies.js";
+import { recordMessageAck } from "../Campaign/MessageReceipts.js";
+import { handleOptOut } from "../Contacts/DoNotContact.js";
 
-export const WhatsAppClientFunctions = (client, number, PCE) => {
+export const WhatsAppClientFunctions = (client, number, PCE, SendingWeight = 1) => {
 
   try {
     // client initialize does not finish at ready now.
@@ -50,6 +54,16 @@ export const WhatsAppClientFunctions = (client, number, PCE) => {
       client.pupPage.on("error", function (err) {
         console.log("Page error: " + err.toString());
       });
+      singularSenderPool.register(number, client, SendingWeight);
+    });
+
+    client.on("disconnected", reason => {
+      singularSenderPool.markDisconnected(number, reason);
+    });
+
+    // Delivery and read receipts of the messages this bot sent.
+    client.on("message_ack", (msg, ack) => {
+      recordMessageAck(msg, ack);
     });
     // // When the client received QR-Code
     // client.on("qr", (qr) => {
@@ -64,10 +78,15 @@ export const WhatsAppClientFunctions = (client, number, PCE) => {
     // });
     // client.initialize();
 
-    client.on("message", msg => {
+    client.on("message", async msg => {
       if (msg.body == "!ping") {
         msg.reply("pong");
       }
+      recordCampaignReply(msg);
+      // An opt-out is answered once and goes no further.
+      if (await handleOptOut(msg)) {
+        return;
+      }
       MessageAnalyzer(msg);
       // console.log(msg)
     });
@@ -0,0 +1,94 @@
+import { prisma } from "../Database/prismaClient.js";
+import { CreatingNewWhatsAppClient } from "./CreatingNewWhatsAppClient.js";
+import { WhatsAppClientFunctions } from "./WhatsAppClientFunctions.js";
+
+// Keeps every WhatsApp client that can send campaign messages. Clients register themselves
+// when they become ready and drop out when they disconnect, so a campaign never has to know
+// which bots exist up front.
+export class WhatsAppSenderPool {
+  senders = {};
+
+  constructor() {
+    this.senders = {};
+    return this;
+  }
+
+  register = (number, client, weight = 1) => {
+    console.log("Registering the sender in the campaign pool", number);
+    this.senders[number] = {
+      number,
+      client,
+      weight,
+      connected: true,
+      currentWeight: 0
+    };
+    this.updateAgentSessionStatus(number, "connected");
+  };
+
+  markDisconnected = (number, reason) => {
+    console.log(`The sender ${number} has disconnected and is taken out of the campaign pool`, reason);
+    if (this.senders[number]) {
+      this.senders[number].connected = false;
+    }
+    this.updateAgentSessionStatus(number, "disconnected");
+  };
+
+  async updateAgentSessionStatus(number, sessionStatus) {
+    try {
+      await prisma.agent.updateMany({
+        where: { whatsappNumber: number },
+        data: { sessionStatus, lastActive: new Date() }
+      });
+    } catch (error) {
+      console.log(error);
+    }
+  }
+
+  // Brings every Agent marked as connected into the pool. Agents whose session is not open in
+  // this process get a client started from their saved LocalAuth session; they join the pool
+  // once the client fires "ready".
+  async build() {
+    try {
+      const agents = await prisma.agent.findMany({
+        where: { sessionStatus: "connected", status: "active", deletedAt: null }
+      });
+      for (const agent of agents) {
+        const sender = this.senders[agent.whatsappNumber];
+        if (sender) {
+          sender.weight = agent.sendingWeight;
+        } else {
+          const client = await CreatingNewWhatsAppClient(agent.whatsappNumber);
+          client && WhatsAppClientFunctions(client, agent.whatsappNumber, false, agent.sendingWeight);
+        }
+      }
+    } catch (error) {
+      console.log(error);
+    }
+    return this.connectedSenders();
+  }
+
+  // A sender with sendingWeight 0 stays connected for replies but gets no campaign messages.
+  connectedSenders = () => Object.values(this.senders).filter(sender => sender.connected && sender.client.info && sender.weight > 0);
+
+  // Smooth weighted round-robin: a sender with weight 3 gets three of every four messages
+  // against a sender with weight 1, spread out rather than in bursts.
+  next = () => {
+    const senders = this.connectedSenders();
+    if (senders.length === 0) {
+      return undefined;
+    }
+    const totalWeight = senders.reduce((total, sender) => total + sender.weight, 0);
+    let selected = senders[0];
+    for (const sender of senders) {
+      sender.currentWeight += sender.weight;
+      if (sender.currentWeight > selected.currentWeight) {
+        selected = sender;
+      }
+    }
+    selected.currentWeight -= totalWeight;
+    return selected;
+  };
+}
+
+const singularSenderPool = new WhatsAppSenderPool();
+export default singularSenderPool;